@@ -0,0 +1,620 @@
+// PromptCanvas Options Page
+// Full-page template library: folders, sorting, bulk actions and a larger editor.
+// The popup stays the quick view; settings are edited here as well.
+
+import { attachCodeEditor } from '../popup/code-editor.js';
+import { checkTemplateText, findTemplateFormError, describeTriggerSettings, parseSiteList, downloadTemplateBundle, renderOutputFormatOptions } from '../popup/template-form.js';
+import { getKeyName } from '../src/ui/key-names.js';
+
+// Storage the page follows for changes made elsewhere (the popup, sync, pages)
+const LIBRARY_STORAGE_KEYS = ['promptcanvas_templates', 'promptcanvas_usage'];
+const SETTINGS_STORAGE_KEY = 'promptcanvas_settings';
+const SYNC_STATUS_STORAGE_KEY = 'promptcanvas_sync_status';
+
+let templates = [];
+let usage = {};
+let schemas = [];
+let settings = {};
+let syncStatus = null;
+// null shows every template, '' those without a folder
+let currentFolder = null;
+let selectedIds = new Set();
+let currentEditId = null;
+let jsonEditor = null;
+
+// DOM Elements
+const views = {
+  library: document.getElementById('libraryPanel'),
+  editor: document.getElementById('editorPanel'),
+  settings: document.getElementById('settingsPanel')
+};
+
+const elements = {
+  newTemplateBtn: document.getElementById('newTemplateBtn'),
+  folderList: document.getElementById('folderList'),
+  settingsNavBtn: document.getElementById('settingsNavBtn'),
+  searchInput: document.getElementById('searchInput'),
+  sortSelect: document.getElementById('sortSelect'),
+  bulkBar: document.getElementById('bulkBar'),
+  selectionCount: document.getElementById('selectionCount'),
+  moveFolderSelect: document.getElementById('moveFolderSelect'),
+  bulkExportBtn: document.getElementById('bulkExportBtn'),
+  bulkDeleteBtn: document.getElementById('bulkDeleteBtn'),
+  selectAll: document.getElementById('selectAll'),
+  libraryRows: document.getElementById('libraryRows'),
+  libraryEmpty: document.getElementById('libraryEmpty'),
+  libraryEmptyText: document.getElementById('libraryEmptyText'),
+  backBtn: document.getElementById('backBtn'),
+  editorTitle: document.getElementById('editorTitle'),
+  templateForm: document.getElementById('templateForm'),
+  templateName: document.getElementById('templateName'),
+  templateTrigger: document.getElementById('templateTrigger'),
+  templateTriggerHint: document.getElementById('templateTriggerHint'),
+  templateFolder: document.getElementById('templateFolder'),
+  folderOptions: document.getElementById('folderOptions'),
+  templateOutputFormat: document.getElementById('templateOutputFormat'),
+  templateSites: document.getElementById('templateSites'),
+  templateJson: document.getElementById('templateJson'),
+  jsonStatus: document.getElementById('jsonStatus'),
+  cancelBtn: document.getElementById('cancelBtn'),
+  deleteBtn: document.getElementById('deleteBtn'),
+  triggerKeyInputs: document.querySelectorAll('[data-trigger-key]'),
+  triggerChord: document.getElementById('triggerChord'),
+  triggerPrefix: document.getElementById('triggerPrefix'),
+  wordBoundary: document.getElementById('wordBoundary'),
+  blockedSites: document.getElementById('blockedSites'),
+  allowedSites: document.getElementById('allowedSites'),
+  syncEnabled: document.getElementById('syncEnabled'),
+  syncStatusHint: document.getElementById('syncStatusHint'),
+  syncConflicts: document.getElementById('syncConflicts'),
+  syncConflictList: document.getElementById('syncConflictList'),
+  clearSyncConflictsBtn: document.getElementById('clearSyncConflictsBtn'),
+  revisionLimit: document.getElementById('revisionLimit'),
+  historyLimit: document.getElementById('historyLimit'),
+  clearHistoryBtn: document.getElementById('clearHistoryBtn')
+};
+
+// Initialize
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+  // Formats registered in output-formats.js, so a new one shows up here too
+  renderOutputFormatOptions(elements.templateOutputFormat);
+  await Promise.all([loadLibrary(), loadSettings(), loadSyncStatus(), loadSchemas()]);
+  renderLibrary();
+  setupEventListeners();
+
+  // The popup's sync warning links straight to the settings
+  if (location.hash === '#settings') {
+    showView('settings');
+  }
+}
+
+async function loadLibrary() {
+  try {
+    [templates, usage] = await Promise.all([
+      chrome.runtime.sendMessage({ type: 'GET_ALL_TEMPLATES' }),
+      chrome.runtime.sendMessage({ type: 'GET_TEMPLATE_USAGE' })
+    ]);
+  } catch (e) {
+    console.error('Failed to load templates:', e);
+    templates = [];
+    usage = {};
+  }
+}
+
+async function loadSettings() {
+  try {
+    settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    renderSettings();
+  } catch (e) {
+    console.error('Failed to load settings:', e);
+  }
+}
+
+async function loadSchemas() {
+  try {
+    schemas = await chrome.runtime.sendMessage({ type: 'GET_ALL_SCHEMAS' });
+  } catch (e) {
+    console.error('Failed to load schemas:', e);
+    schemas = [];
+  }
+}
+
+function setupEventListeners() {
+  elements.newTemplateBtn.addEventListener('click', () => openEditor(null));
+
+  // Folders
+  elements.folderList.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-folder]');
+    if (!item) return;
+    currentFolder = item.dataset.folder === '*' ? null : item.dataset.folder;
+    selectedIds.clear();
+    showView('library');
+    renderLibrary();
+  });
+
+  elements.settingsNavBtn.addEventListener('click', () => showView('settings'));
+
+  // Search & sort
+  elements.searchInput.addEventListener('input', renderLibrary);
+  elements.sortSelect.addEventListener('change', renderLibrary);
+
+  // Selection
+  elements.selectAll.addEventListener('change', () => {
+    getVisibleTemplates().forEach(t => {
+      if (elements.selectAll.checked) {
+        selectedIds.add(t.id);
+      } else {
+        selectedIds.delete(t.id);
+      }
+    });
+    renderLibrary();
+  });
+
+  elements.libraryRows.addEventListener('click', (e) => {
+    const row = e.target.closest('[data-id]');
+    if (!row) return;
+    if (e.target.closest('.library-check')) {
+      const checkbox = row.querySelector('input[type="checkbox"]');
+      if (e.target !== checkbox) checkbox.checked = !checkbox.checked;
+      if (checkbox.checked) {
+        selectedIds.add(row.dataset.id);
+      } else {
+        selectedIds.delete(row.dataset.id);
+      }
+      renderLibrary();
+    } else {
+      openEditor(row.dataset.id);
+    }
+  });
+
+  // Bulk actions
+  elements.moveFolderSelect.addEventListener('change', moveSelectedTemplates);
+  elements.bulkExportBtn.addEventListener('click', exportSelectedTemplates);
+  elements.bulkDeleteBtn.addEventListener('click', deleteSelectedTemplates);
+
+  // Editor
+  jsonEditor = attachCodeEditor(elements.templateJson, {
+    getSchemaNames: () => schemas.map(s => s.name)
+  });
+  elements.templateJson.addEventListener('input', validateJson);
+
+  elements.templateForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await saveCurrentTemplate();
+  });
+  elements.backBtn.addEventListener('click', () => showView('library'));
+  elements.cancelBtn.addEventListener('click', () => showView('library'));
+  elements.deleteBtn.addEventListener('click', async () => {
+    if (currentEditId && confirm('이 템플릿을 휴지통으로 옮길까요?')) {
+      await deleteTemplates([currentEditId]);
+      showView('library');
+    }
+  });
+
+  setupSettingsListeners();
+
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes[SETTINGS_STORAGE_KEY]) {
+      await loadSettings();
+    }
+    if (changes[SYNC_STATUS_STORAGE_KEY] || changes[SETTINGS_STORAGE_KEY]) {
+      await loadSyncStatus();
+    }
+    if (LIBRARY_STORAGE_KEYS.some(key => changes[key])) {
+      await loadLibrary();
+      renderLibrary();
+    }
+  });
+}
+
+function showView(viewName) {
+  Object.values(views).forEach(v => v.classList.remove('active'));
+  views[viewName].classList.add('active');
+  // The sidebar highlights the folder only while the library is shown
+  renderFolders();
+}
+
+// ===== Library =====
+
+/**
+ * Templates in the current folder that match the search, in the chosen order
+ */
+function getVisibleTemplates() {
+  const filter = elements.searchInput.value.trim().toLowerCase();
+  const visible = templates.filter(t =>
+    (currentFolder === null || (t.folder || '') === currentFolder)
+    && (!filter || [t.name, t.trigger, t.folder || ''].some(value => value.toLowerCase().includes(filter)))
+  );
+
+  const compare = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    trigger: (a, b) => a.trigger.localeCompare(b.trigger),
+    // Never-used templates go last
+    lastUsed: (a, b) => (usage[b.id] || 0) - (usage[a.id] || 0),
+    updated: (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0)
+  }[elements.sortSelect.value];
+  return visible.sort((a, b) => compare(a, b) || a.name.localeCompare(b.name));
+}
+
+function getFolders() {
+  return [...new Set(templates.map(t => t.folder).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+function renderLibrary() {
+  // Drop selections of templates that were deleted meanwhile, and a folder that was emptied
+  selectedIds = new Set([...selectedIds].filter(id => templates.some(t => t.id === id)));
+  if (currentFolder !== null && !templates.some(t => (t.folder || '') === currentFolder)) {
+    currentFolder = null;
+  }
+
+  renderFolders();
+  renderBulkBar();
+
+  const visible = getVisibleTemplates();
+  elements.selectAll.checked = visible.length > 0 && visible.every(t => selectedIds.has(t.id));
+
+  if (visible.length === 0) {
+    elements.libraryRows.innerHTML = '';
+    elements.libraryEmptyText.innerHTML = templates.length === 0
+      ? '템플릿이 없습니다.<br>새 템플릿을 만들어보세요!'
+      : '검색 결과가 없습니다';
+    elements.libraryEmpty.hidden = false;
+    return;
+  }
+
+  elements.libraryEmpty.hidden = true;
+  elements.libraryRows.innerHTML = visible.map(t => `
+    <tr class="${selectedIds.has(t.id) ? 'selected' : ''}" data-id="${t.id}">
+      <td class="library-check">
+        <input type="checkbox" ${selectedIds.has(t.id) ? 'checked' : ''} />
+      </td>
+      <td class="template-name">${escapeHtml(t.name)}</td>
+      <td class="template-trigger">
+        ${escapeHtml(t.trigger)}
+        ${(t.sites || []).length > 0 ? `<span class="template-sites">· ${escapeHtml(t.sites.join(', '))}</span>` : ''}
+      </td>
+      <td>${escapeHtml(t.folder || '')}</td>
+      <td class="library-date">${usage[t.id] ? new Date(usage[t.id]).toLocaleString() : '-'}</td>
+      <td class="library-date">${t.updatedAt ? new Date(t.updatedAt).toLocaleString() : '-'}</td>
+    </tr>
+  `).join('');
+}
+
+function renderFolders() {
+  const folders = getFolders();
+  const count = folder => templates.filter(t => (t.folder || '') === folder).length;
+  const unfiled = count('');
+  const isActive = folder => views.library.classList.contains('active') && currentFolder === folder;
+
+  const items = [
+    { folder: '*', label: '전체', count: templates.length, active: isActive(null) },
+    ...folders.map(folder => ({ folder, label: folder, count: count(folder), active: isActive(folder) }))
+  ];
+  // Only worth a separate entry once some templates are in folders
+  if (folders.length > 0 && unfiled > 0) {
+    items.push({ folder: '', label: '폴더 없음', count: unfiled, active: isActive('') });
+  }
+
+  elements.folderList.innerHTML = items.map(item => `
+    <button type="button" class="folder-item ${item.active ? 'active' : ''}" data-folder="${escapeHtml(item.folder)}">
+      <span>${item.folder === '*' ? '📚' : '📁'} ${escapeHtml(item.label)}</span>
+      <span class="folder-count">${item.count}</span>
+    </button>
+  `).join('');
+  elements.settingsNavBtn.classList.toggle('active', views.settings.classList.contains('active'));
+
+  elements.folderOptions.innerHTML = folders.map(folder => `<option value="${escapeHtml(folder)}"></option>`).join('');
+}
+
+function renderBulkBar() {
+  elements.bulkBar.hidden = selectedIds.size === 0;
+  elements.selectionCount.textContent = `${selectedIds.size}개 선택됨`;
+  elements.moveFolderSelect.innerHTML = `
+    <option value="">폴더로 이동...</option>
+    ${getFolders().map(folder => `<option value="${escapeHtml(folder)}">📁 ${escapeHtml(folder)}</option>`).join('')}
+    <option value="__new__">새 폴더...</option>
+    <option value="__none__">폴더에서 빼기</option>
+  `;
+}
+
+// ===== Bulk Actions =====
+
+async function moveSelectedTemplates() {
+  const choice = elements.moveFolderSelect.value;
+  elements.moveFolderSelect.value = '';
+  if (!choice) return;
+
+  let folder = choice;
+  if (choice === '__none__') {
+    folder = '';
+  } else if (choice === '__new__') {
+    folder = (prompt('새 폴더 이름을 입력하세요.') || '').trim();
+    if (!folder) return;
+  }
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'MOVE_TEMPLATES', ids: [...selectedIds], folder });
+    if (result.error) throw new Error(result.error);
+    selectedIds.clear();
+    await loadLibrary();
+    renderLibrary();
+  } catch (e) {
+    console.error('Failed to move templates:', e);
+    alert('템플릿 이동에 실패했습니다.');
+  }
+}
+
+async function exportSelectedTemplates() {
+  try {
+    const bundle = await chrome.runtime.sendMessage({ type: 'EXPORT_TEMPLATES', ids: [...selectedIds] });
+    downloadTemplateBundle(bundle);
+  } catch (e) {
+    console.error('Failed to export templates:', e);
+    alert('템플릿 내보내기에 실패했습니다.');
+  }
+}
+
+async function deleteSelectedTemplates() {
+  if (!confirm(`선택한 템플릿 ${selectedIds.size}개를 휴지통으로 옮길까요?`)) return;
+  const ids = [...selectedIds];
+  selectedIds.clear();
+  await deleteTemplates(ids);
+}
+
+async function deleteTemplates(ids) {
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'DELETE_TEMPLATES', ids });
+    if (result.error) throw new Error(result.error);
+    await loadLibrary();
+    renderLibrary();
+  } catch (e) {
+    console.error('Failed to delete templates:', e);
+    alert('템플릿 삭제에 실패했습니다.');
+  }
+}
+
+// ===== Editor =====
+
+function openEditor(templateId) {
+  currentEditId = templateId;
+  const template = templates.find(t => t.id === templateId);
+
+  elements.editorTitle.textContent = template ? '템플릿 편집' : '새 템플릿';
+  elements.templateName.value = template?.name || '';
+  elements.templateTrigger.value = template?.trigger || '';
+  // New templates start in the folder being viewed
+  elements.templateFolder.value = template ? template.folder || '' : currentFolder || '';
+  elements.templateOutputFormat.value = template?.outputFormat || 'json';
+  elements.templateSites.value = (template?.sites || []).join('\n');
+  elements.templateJson.value = template?.templateJson || '';
+  elements.deleteBtn.hidden = !template;
+  elements.templateTriggerHint.textContent = describeTriggerSettings(settings);
+
+  validateJson();
+  jsonEditor.refresh();
+  showView('editor');
+}
+
+/**
+ * Check the template against the marker grammar and underline problems in the editor
+ * Returns the diagnostics.
+ */
+function validateJson() {
+  const diagnostics = checkTemplateText(elements.templateJson.value, elements.jsonStatus, schemas.map(s => s.name));
+  jsonEditor.setDiagnostics(diagnostics);
+  return diagnostics;
+}
+
+async function saveCurrentTemplate() {
+  const name = elements.templateName.value.trim();
+  const trigger = elements.templateTrigger.value.trim();
+  const sites = parseSiteList(elements.templateSites.value);
+  const jsonStr = elements.templateJson.value.trim();
+
+  const problem = findTemplateFormError(
+    { id: currentEditId, name, trigger, sites, json: jsonStr },
+    { templates, settings, diagnostics: validateJson() }
+  );
+  if (problem) {
+    alert(problem.message);
+    const fields = { name: elements.templateName, trigger: elements.templateTrigger, json: elements.templateJson };
+    fields[problem.field].focus();
+    return;
+  }
+
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: 'SAVE_TEMPLATE',
+      template: {
+        id: currentEditId,
+        name,
+        trigger,
+        outputFormat: elements.templateOutputFormat.value,
+        sites,
+        folder: elements.templateFolder.value.trim(),
+        template: jsonStr
+      }
+    });
+    if (result && result.error) {
+      alert(`템플릿을 저장할 수 없습니다.\n\n${result.error}`);
+      return;
+    }
+    await loadLibrary();
+    showView('library');
+    renderLibrary();
+  } catch (e) {
+    console.error('Failed to save template:', e);
+    alert('템플릿 저장에 실패했습니다.');
+  }
+}
+
+// ===== Settings =====
+
+function setupSettingsListeners() {
+  elements.triggerKeyInputs.forEach(input => {
+    input.addEventListener('change', saveTriggerKeys);
+  });
+
+  // Record a chord by pressing it; Backspace/Delete clears it
+  elements.triggerChord.addEventListener('keydown', async (e) => {
+    if (e.key === 'Tab') return;
+    e.preventDefault();
+
+    if ((e.key === 'Backspace' || e.key === 'Delete') && !e.ctrlKey && !e.altKey && !e.metaKey) {
+      elements.triggerChord.value = '';
+    } else if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key) || !(e.ctrlKey || e.altKey || e.metaKey)) {
+      return;
+    } else {
+      elements.triggerChord.value = getKeyName(e);
+    }
+    await saveTriggerKeys();
+  });
+
+  elements.triggerPrefix.addEventListener('change', async () => {
+    await saveSettings({ triggerPrefix: elements.triggerPrefix.value.trim() });
+  });
+
+  elements.wordBoundary.addEventListener('change', async () => {
+    await saveSettings({ wordBoundary: elements.wordBoundary.checked });
+  });
+
+  // Site rules
+  elements.blockedSites.addEventListener('change', async () => {
+    await saveSettings({ blockedSites: parseSiteList(elements.blockedSites.value) });
+  });
+
+  elements.allowedSites.addEventListener('change', async () => {
+    await saveSettings({ allowedSites: parseSiteList(elements.allowedSites.value) });
+  });
+
+  // Sync
+  elements.syncEnabled.addEventListener('change', async () => {
+    // Turning sync on merges libraries; the storage listener refreshes the list
+    await saveSettings({ syncEnabled: elements.syncEnabled.checked });
+  });
+
+  elements.clearSyncConflictsBtn.addEventListener('click', async () => {
+    try {
+      await chrome.runtime.sendMessage({ type: 'CLEAR_SYNC_CONFLICTS' });
+    } catch (e) {
+      console.error('Failed to clear sync conflicts:', e);
+    }
+    await loadSyncStatus();
+  });
+
+  elements.revisionLimit.addEventListener('change', async () => {
+    const limit = Math.min(100, Math.max(1, parseInt(elements.revisionLimit.value, 10) || 1));
+    elements.revisionLimit.value = limit;
+    await saveSettings({ revisionLimit: limit });
+  });
+
+  elements.historyLimit.addEventListener('change', async () => {
+    const limit = Math.min(50, Math.max(1, parseInt(elements.historyLimit.value, 10) || 1));
+    elements.historyLimit.value = limit;
+    await saveSettings({ historyLimit: limit });
+  });
+
+  elements.clearHistoryBtn.addEventListener('click', async () => {
+    if (confirm('모든 템플릿의 입력 기록을 지우시겠습니까?')) {
+      try {
+        await chrome.runtime.sendMessage({ type: 'CLEAR_HISTORY' });
+        alert('입력 기록을 지웠습니다.');
+      } catch (e) {
+        console.error('Failed to clear history:', e);
+        alert('입력 기록 삭제에 실패했습니다.');
+      }
+    }
+  });
+}
+
+function renderSettings() {
+  const keys = settings.triggerKeys || [];
+  elements.triggerKeyInputs.forEach(input => {
+    input.checked = keys.includes(input.dataset.triggerKey);
+  });
+  elements.triggerChord.value = keys.find(key => key.includes('+')) || '';
+  elements.triggerPrefix.value = settings.triggerPrefix || '';
+  elements.wordBoundary.checked = settings.wordBoundary !== false;
+  elements.blockedSites.value = (settings.blockedSites || []).join('\n');
+  elements.allowedSites.value = (settings.allowedSites || []).join('\n');
+  elements.syncEnabled.checked = !!settings.syncEnabled;
+  elements.revisionLimit.value = settings.revisionLimit;
+  elements.historyLimit.value = settings.historyLimit;
+}
+
+async function saveSettings(changes) {
+  try {
+    settings = await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', settings: changes });
+  } catch (e) {
+    console.error('Failed to save settings:', e);
+    alert('설정 저장에 실패했습니다.');
+  }
+}
+
+async function saveTriggerKeys() {
+  const keys = [...elements.triggerKeyInputs]
+    .filter(input => input.checked)
+    .map(input => input.dataset.triggerKey);
+  if (elements.triggerChord.value) {
+    keys.push(elements.triggerChord.value);
+  }
+
+  if (keys.length === 0) {
+    alert('트리거 키를 하나 이상 선택하세요.');
+    renderSettings();
+    return;
+  }
+
+  await saveSettings({ triggerKeys: keys });
+}
+
+// ===== Sync =====
+const SYNC_HINT = elements.syncStatusHint.textContent;
+
+async function loadSyncStatus() {
+  try {
+    syncStatus = await chrome.runtime.sendMessage({ type: 'GET_SYNC_STATUS' });
+    renderSyncStatus();
+  } catch (e) {
+    console.error('Failed to load sync status:', e);
+  }
+}
+
+/**
+ * Last sync time or the quota warning, and the conflicts the popup's banner points to
+ */
+function renderSyncStatus() {
+  const enabled = syncStatus.enabled;
+  const conflicts = enabled ? syncStatus.conflicts : [];
+  const warning = enabled ? syncStatus.warning : null;
+
+  if (warning) {
+    elements.syncStatusHint.textContent = warning;
+  } else if (enabled && syncStatus.lastSyncedAt) {
+    elements.syncStatusHint.textContent = `마지막 동기화: ${new Date(syncStatus.lastSyncedAt).toLocaleString()}`;
+  } else {
+    elements.syncStatusHint.textContent = SYNC_HINT;
+  }
+
+  elements.syncConflictList.innerHTML = conflicts.map(c => `
+    <li>${escapeHtml(c.name)}: ${describeSyncConflict(c)}</li>
+  `).join('');
+  elements.syncConflicts.hidden = conflicts.length === 0;
+}
+
+function describeSyncConflict(conflict) {
+  if (conflict.kept === 'renamed') {
+    return `다른 템플릿과 트리거가 겹쳐 ${escapeHtml(conflict.trigger)}(으)로 바꿨습니다`;
+  }
+  return `${conflict.kept === 'local' ? '이 기기의 수정본' : '다른 기기의 수정본'}을 유지했습니다`;
+}
+
+// Also escapes quotes: folder names end up in attribute values
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
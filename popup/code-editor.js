@@ -0,0 +1,459 @@
+// PromptCanvas - Code Editor
+// Lightweight JSON editor for the template text: a highlighted copy of the text sits
+// under a transparent textarea, so typing, selection and undo stay native.
+// Adds auto-indent, bracket pairing and matching, marker / schema name completion
+// and squiggles under the positions the validator reports.
+
+const INDENT = '  ';
+const PAIRS = { '{': '}', '[': ']', '"': '"' };
+
+const MARKER_COMPLETIONS = [
+  { text: '$input', label: '한 줄 입력' },
+  { text: '$input:', label: '한 줄 입력 (라벨)' },
+  { text: '$textarea', label: '여러 줄 입력' },
+  { text: '$select:', label: '선택' },
+  { text: '$enum:', label: '선택 (목록 값만)' },
+  { text: '$boolean', label: '예 / 아니오' },
+  { text: '$number', label: '숫자' },
+  { text: '$slider:', label: '슬라이더 (min|max|step)' },
+  { text: '$array:', label: '반복 목록 (스키마)' },
+  { text: '$include:', label: '다른 템플릿 포함' }
+];
+
+/**
+ * Turn a textarea into the JSON editor; hiding the textarea hides the whole editor
+ * getSchemaNames returns the global schema names offered after "$array:".
+ * Returns { refresh, setDiagnostics }: call refresh after setting textarea.value from code.
+ */
+export function attachCodeEditor(textarea, { getSchemaNames = () => [] } = {}) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'code-editor';
+  textarea.before(wrapper);
+  wrapper.append(textarea);
+  // Lines must break exactly where the highlighted copy breaks them
+  textarea.setAttribute('wrap', 'off');
+  textarea.spellcheck = false;
+
+  const highlight = document.createElement('pre');
+  highlight.className = 'code-highlight';
+  highlight.setAttribute('aria-hidden', 'true');
+  const completionList = document.createElement('ul');
+  completionList.className = 'code-completions';
+  completionList.hidden = true;
+  wrapper.prepend(highlight);
+  wrapper.append(completionList);
+
+  const state = {
+    diagnostics: [],
+    completions: [],
+    selected: 0,
+    // Where accepting a completion replaces the typed prefix
+    replaceFrom: 0,
+    // Local schema names of the last version of the text that parsed
+    localSchemas: [],
+    // Set by Escape: the next Tab moves focus on instead of indenting
+    tabReleased: false
+  };
+
+  const render = () => {
+    highlight.innerHTML = highlightJson(textarea.value, textarea.selectionStart, state.diagnostics);
+    syncScroll();
+  };
+  const syncScroll = () => {
+    highlight.scrollTop = textarea.scrollTop;
+    highlight.scrollLeft = textarea.scrollLeft;
+  };
+
+  const closeCompletions = () => {
+    state.completions = [];
+    completionList.hidden = true;
+  };
+
+  const updateCompletions = () => {
+    const context = findCompletionContext(textarea.value, textarea.selectionStart);
+    if (!context) {
+      closeCompletions();
+      return;
+    }
+
+    let candidates;
+    const arrayMatch = context.prefix.match(/^\$array:([^{]*)$/);
+    if (arrayMatch) {
+      const names = [...new Set([...readLocalSchemas(textarea.value, state), ...getSchemaNames()])];
+      candidates = names
+        .filter(name => name.startsWith(arrayMatch[1]))
+        .map(name => ({ text: `$array:${name}`, label: '스키마' }));
+    } else if (/^\$[a-z]*$/.test(context.prefix)) {
+      candidates = MARKER_COMPLETIONS.filter(c => c.text.startsWith(context.prefix));
+    } else {
+      candidates = [];
+    }
+
+    // Nothing to offer once the marker is typed out in full
+    candidates = candidates.filter(c => c.text !== context.prefix);
+    if (candidates.length === 0) {
+      closeCompletions();
+      return;
+    }
+
+    state.completions = candidates;
+    state.selected = 0;
+    state.replaceFrom = context.start;
+    renderCompletions();
+  };
+
+  const renderCompletions = () => {
+    completionList.innerHTML = state.completions.map((c, i) => `
+      <li class="${i === state.selected ? 'selected' : ''}" data-completion="${i}">
+        <span class="code-completion-text">${escapeHtml(c.text)}</span>
+        <span class="code-completion-label">${escapeHtml(c.label)}</span>
+      </li>
+    `).join('');
+
+    // Open just below the caret, which the highlight marks with an empty span
+    const caret = highlight.querySelector('.code-caret');
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 16;
+    completionList.style.left = `${Math.max(0, caret.offsetLeft - highlight.scrollLeft)}px`;
+    completionList.style.top = `${caret.offsetTop - highlight.scrollTop + lineHeight}px`;
+    completionList.hidden = false;
+  };
+
+  const acceptCompletion = (index) => {
+    const completion = state.completions[index];
+    closeCompletions();
+    if (!completion) return;
+    // The input this fires reopens the list for what follows, e.g. schema names after "$array:"
+    insertText(textarea, completion.text, state.replaceFrom, textarea.selectionStart);
+  };
+
+  textarea.addEventListener('input', () => {
+    render();
+    updateCompletions();
+  });
+  textarea.addEventListener('scroll', syncScroll);
+  // Caret moves change which brackets are matched
+  ['click', 'keyup', 'focus'].forEach(type => textarea.addEventListener(type, render));
+  textarea.addEventListener('blur', () => {
+    closeCompletions();
+    state.tabReleased = false;
+  });
+
+  textarea.addEventListener('keydown', (e) => {
+    if (!completionList.hidden) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        state.selected = (state.selected + step + state.completions.length) % state.completions.length;
+        renderCompletions();
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        acceptCompletion(state.selected);
+        return;
+      }
+      if (e.key === 'Escape') {
+        // Close the list, not the editor
+        e.preventDefault();
+        e.stopPropagation();
+        closeCompletions();
+        return;
+      }
+    }
+
+    // Tab indents, so keyboard users leave with Escape then Tab, or Shift+Tab
+    const tabReleased = state.tabReleased;
+    state.tabReleased = e.key === 'Escape';
+    if (e.key === 'Tab' && (tabReleased || e.shiftKey)) return;
+
+    if (e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return;
+    if (handleEditingKey(textarea, e.key)) {
+      e.preventDefault();
+    }
+  });
+
+  // mousedown, not click: the textarea would lose focus (and close the list) first
+  completionList.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('[data-completion]');
+    if (!item) return;
+    e.preventDefault();
+    acceptCompletion(parseInt(item.dataset.completion, 10));
+  });
+
+  render();
+  return {
+    refresh() {
+      closeCompletions();
+      render();
+    },
+    setDiagnostics(diagnostics) {
+      state.diagnostics = diagnostics;
+      render();
+    }
+  };
+}
+
+// ===== Editing =====
+
+/**
+ * Auto-indent, bracket pairing and tab handling
+ * Returns true when the key was handled and the default input should be skipped
+ */
+function handleEditingKey(textarea, key) {
+  const { value, selectionStart: start, selectionEnd: end } = textarea;
+  const before = value[start - 1];
+  const after = value[end];
+  const hasSelection = start !== end;
+
+  switch (key) {
+    case 'Enter': {
+      const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+      const indent = value.slice(lineStart).match(/^[ \t]*/)[0];
+      const opensBlock = /[{[]\s*$/.test(value.slice(lineStart, start));
+      if (opensBlock && !hasSelection && after === PAIRS[value.slice(lineStart, start).trimEnd().slice(-1)]) {
+        // {|} becomes an indented empty line with the closer below
+        insertText(textarea, `\n${indent}${INDENT}\n${indent}`, start, end);
+        setCaret(textarea, start + 1 + indent.length + INDENT.length);
+      } else {
+        insertText(textarea, `\n${indent}${opensBlock ? INDENT : ''}`, start, end);
+      }
+      return true;
+    }
+
+    case 'Tab':
+      insertText(textarea, INDENT, start, end);
+      return true;
+
+    case '}':
+    case ']': {
+      if (!hasSelection && after === key) {
+        setCaret(textarea, start + 1);
+        return true;
+      }
+      // A closer typed on an otherwise empty line lines up with its opener's line
+      const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+      const indent = value.slice(lineStart, start);
+      if (!hasSelection && /^ +$/.test(indent) && indent.length >= INDENT.length) {
+        insertText(textarea, key, start - INDENT.length, end);
+        return true;
+      }
+      return false;
+    }
+
+    case '"':
+    case '{':
+    case '[': {
+      const inString = isInsideString(value, start);
+      if (key === '"' && inString && !hasSelection && after === '"' && before !== '\\') {
+        // Type over the closing quote that was inserted with the opening one
+        setCaret(textarea, start + 1);
+        return true;
+      }
+      // Brackets in text ("$select:a|b{default:a}") and quotes that end a string are typed as-is
+      if (inString) return false;
+      if (hasSelection) {
+        insertText(textarea, key + value.slice(start, end) + PAIRS[key], start, end);
+        textarea.setSelectionRange(start + 1, end + 1);
+        return true;
+      }
+      if (after === undefined || /[\s,}\]:]/.test(after)) {
+        insertText(textarea, key + PAIRS[key], start, end);
+        setCaret(textarea, start + 1);
+        return true;
+      }
+      return false;
+    }
+
+    case 'Backspace':
+      // Deleting an opener next to its empty closer removes both
+      if (!hasSelection && before && PAIRS[before] === after && (before !== '"' || isInsideString(value, start))) {
+        insertText(textarea, '', start - 1, end + 1);
+        return true;
+      }
+      return false;
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Replace start..end with text the way typing would, so undo and input events still work
+ */
+function insertText(textarea, text, start, end) {
+  textarea.focus();
+  textarea.setSelectionRange(start, end);
+  // execCommand keeps the change in the textarea's undo history
+  if (!document.execCommand('insertText', false, text)) {
+    textarea.setRangeText(text, start, end, 'end');
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+}
+
+function setCaret(textarea, position) {
+  textarea.setSelectionRange(position, position);
+}
+
+function isInsideString(text, offset) {
+  let inString = false;
+  for (let i = 0; i < offset; i++) {
+    if (text[i] === '\\' && inString) {
+      i++;
+    } else if (text[i] === '"') {
+      inString = !inString;
+    } else if (text[i] === '\n') {
+      inString = false;
+    }
+  }
+  return inString;
+}
+
+// ===== Completion =====
+
+/**
+ * The string value the caret is in, if completion applies there:
+ * { start, prefix } with the text from the opening quote to the caret
+ */
+function findCompletionContext(text, caret) {
+  if (!isInsideString(text, caret)) return null;
+
+  const start = text.lastIndexOf('"', caret - 1) + 1;
+  // Keys are never markers
+  const beforeString = text.slice(0, start - 1).trimEnd();
+  if (!beforeString.endsWith(':') && !beforeString.endsWith('[')) return null;
+
+  const prefix = text.slice(start, caret);
+  return prefix.startsWith('$') ? { start, prefix } : null;
+}
+
+/**
+ * Schema names the template itself defines in "$schemas" or "$schemas.name" keys
+ * Falls back to the last names found while the text doesn't parse (e.g. mid-edit)
+ */
+function readLocalSchemas(text, state) {
+  try {
+    const template = JSON.parse(text);
+    state.localSchemas = Object.keys(template).flatMap(key => {
+      if (key === '$schemas' && template[key] && typeof template[key] === 'object') {
+        return Object.keys(template[key]);
+      }
+      return key.startsWith('$schemas.') ? [key.replace('$schemas.', '')] : [];
+    });
+  } catch (e) {
+    // Keep the previous names
+  }
+  return state.localSchemas;
+}
+
+// ===== Highlighting =====
+
+/**
+ * Highlighted HTML for JSON text, tolerant of the invalid JSON met while typing
+ * Marks the caret with an empty span, the bracket pair next to it and the
+ * diagnostic positions (line/column) with squiggles
+ */
+function highlightJson(text, caret, diagnostics) {
+  const tokens = tokenize(text);
+  const matched = findMatchedBrackets(tokens, caret);
+  const squiggles = new Map();
+  for (const d of diagnostics) {
+    if (!d.line) continue;
+    const offset = lineColumnToOffset(text, d.line, d.column);
+    const token = tokens.find(t => offset >= t.start && offset < t.end && t.type !== 'space')
+      || tokens.find(t => t.start >= offset && t.type !== 'space');
+    // Errors win over warnings on the same token
+    if (token && squiggles.get(token) !== 'error') {
+      squiggles.set(token, d.severity);
+    }
+  }
+
+  let html = '';
+  for (const token of tokens) {
+    const classes = [];
+    if (token.type !== 'space' && token.type !== 'text') classes.push(`code-${token.type}`);
+    if (matched.includes(token)) classes.push('code-bracket-match');
+    if (squiggles.has(token)) classes.push(`code-squiggle-${squiggles.get(token)}`);
+
+    const value = token.value;
+    let content;
+    if (caret > token.start && caret < token.end) {
+      const split = caret - token.start;
+      content = `${escapeHtml(value.slice(0, split))}<span class="code-caret"></span>${escapeHtml(value.slice(split))}`;
+    } else {
+      content = (caret === token.start ? '<span class="code-caret"></span>' : '') + escapeHtml(value);
+    }
+    html += classes.length > 0 ? `<span class="${classes.join(' ')}">${content}</span>` : content;
+  }
+  if (caret >= text.length) html += '<span class="code-caret"></span>';
+  // A trailing newline needs a character after it to take up a line
+  return html + ' ';
+}
+
+/**
+ * Split text into tokens: string, key, marker, reserved, number, literal, punctuation,
+ * space and text (anything that isn't JSON)
+ */
+function tokenize(text) {
+  const pattern = /("(?:[^"\\\n]|\\.)*"?)|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|(true|false|null)\b|([{}[\],:])|(\s+)|(.)/gs;
+  const tokens = [];
+  let match;
+  while ((match = pattern.exec(text))) {
+    const [value, string, number, literal, punctuation, space] = match;
+    let type = 'text';
+    if (string !== undefined) {
+      const isKey = /^\s*:/.test(text.slice(pattern.lastIndex));
+      const content = string.slice(1);
+      if (isKey) {
+        type = /^(\$|_meta")/.test(content) ? 'reserved' : 'key';
+      } else {
+        type = content.startsWith('$') ? 'marker' : 'string';
+      }
+    } else if (number !== undefined) {
+      type = 'number';
+    } else if (literal !== undefined) {
+      type = 'literal';
+    } else if (punctuation !== undefined) {
+      type = 'punctuation';
+    } else if (space !== undefined) {
+      type = 'space';
+    }
+    tokens.push({ type, value, start: match.index, end: pattern.lastIndex });
+  }
+  return tokens;
+}
+
+/**
+ * The bracket right before or after the caret and its partner, if it has one
+ */
+function findMatchedBrackets(tokens, caret) {
+  const brackets = tokens.filter(t => t.type === 'punctuation' && '{}[]'.includes(t.value));
+  const atCaret = brackets.find(t => t.end === caret) || brackets.find(t => t.start === caret);
+  if (!atCaret) return [];
+
+  const opening = '{['.includes(atCaret.value);
+  const index = brackets.indexOf(atCaret);
+  let depth = 0;
+  for (let i = index; opening ? i < brackets.length : i >= 0; i += opening ? 1 : -1) {
+    depth += '{['.includes(brackets[i].value) ? 1 : -1;
+    if (depth === 0) {
+      const partner = brackets[i];
+      const isPair = PAIRS[opening ? atCaret.value : partner.value] === (opening ? partner.value : atCaret.value);
+      return isPair ? [atCaret, partner] : [];
+    }
+  }
+  return [];
+}
+
+function lineColumnToOffset(text, line, column) {
+  let offset = 0;
+  for (let i = 1; i < line; i++) {
+    const newline = text.indexOf('\n', offset);
+    if (newline < 0) break;
+    offset = newline + 1;
+  }
+  return offset + column - 1;
+}
+
+function escapeHtml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
@@ -1,14 +1,37 @@
 // PromptCanvas Popup Script
 // Manages template CRUD operations
 
+import { parseOrderedJson, serializeOrderedJson, renderTemplateBuilder, markBuilderErrors } from './template-builder.js';
+import { renderTemplatePreview } from './template-preview.js';
+import { attachCodeEditor } from './code-editor.js';
+import { checkTemplateText, checkSchemaText, findTemplateFormError, describeTriggerSettings, parseSiteList, downloadTemplateBundle, renderOutputFormatOptions } from './template-form.js';
+
 let templates = [];
 let currentEditId = null;
+let schemas = [];
+let currentSchemaName = null;
+let settings = {};
+let currentTabUrl = null;
+let pendingImportText = null;
+let currentRevisionId = null;
+// Template editor shows the visual builder or the raw JSON
+let editorMode = 'builder';
+let builderTree = null;
+let previewOpen = false;
+let previewTimer = null;
+let previewRequest = 0;
+let jsonEditor = null;
 
 // DOM Elements
 const views = {
   list: document.getElementById('templateListView'),
   edit: document.getElementById('templateEditView'),
-  help: document.getElementById('helpView')
+  help: document.getElementById('helpView'),
+  schemaList: document.getElementById('schemaListView'),
+  schemaEdit: document.getElementById('schemaEditView'),
+  transfer: document.getElementById('transferView'),
+  trash: document.getElementById('trashView'),
+  history: document.getElementById('historyView')
 };
 
 const elements = {
@@ -20,19 +43,61 @@ const elements = {
   templateForm: document.getElementById('templateForm'),
   templateName: document.getElementById('templateName'),
   templateTrigger: document.getElementById('templateTrigger'),
+  templateOutputFormat: document.getElementById('templateOutputFormat'),
   templateJson: document.getElementById('templateJson'),
+  templateBuilder: document.getElementById('templateBuilder'),
+  templatePreview: document.getElementById('templatePreview'),
+  previewToggleBtn: document.getElementById('previewToggleBtn'),
+  editorTabs: document.querySelectorAll('[data-editor-mode]'),
   jsonStatus: document.getElementById('jsonStatus'),
   cancelBtn: document.getElementById('cancelBtn'),
   deleteBtn: document.getElementById('deleteBtn'),
   helpBtn: document.getElementById('helpBtn'),
-  helpBackBtn: document.getElementById('helpBackBtn')
+  helpBackBtn: document.getElementById('helpBackBtn'),
+  schemaLibraryBtn: document.getElementById('schemaLibraryBtn'),
+  schemaList: document.getElementById('schemaList'),
+  schemaListBackBtn: document.getElementById('schemaListBackBtn'),
+  newSchemaBtn: document.getElementById('newSchemaBtn'),
+  schemaBackBtn: document.getElementById('schemaBackBtn'),
+  schemaEditorTitle: document.getElementById('schemaEditorTitle'),
+  schemaForm: document.getElementById('schemaForm'),
+  schemaName: document.getElementById('schemaName'),
+  schemaJson: document.getElementById('schemaJson'),
+  schemaJsonStatus: document.getElementById('schemaJsonStatus'),
+  schemaCancelBtn: document.getElementById('schemaCancelBtn'),
+  schemaDeleteBtn: document.getElementById('schemaDeleteBtn'),
+  transferBtn: document.getElementById('transferBtn'),
+  transferBackBtn: document.getElementById('transferBackBtn'),
+  exportList: document.getElementById('exportList'),
+  exportBtn: document.getElementById('exportBtn'),
+  importFile: document.getElementById('importFile'),
+  importReport: document.getElementById('importReport'),
+  importConfirmBtn: document.getElementById('importConfirmBtn'),
+  trashBtn: document.getElementById('trashBtn'),
+  trashBackBtn: document.getElementById('trashBackBtn'),
+  trashList: document.getElementById('trashList'),
+  emptyTrashBtn: document.getElementById('emptyTrashBtn'),
+  historyBtn: document.getElementById('historyBtn'),
+  historyBackBtn: document.getElementById('historyBackBtn'),
+  revisionList: document.getElementById('revisionList'),
+  revisionDiff: document.getElementById('revisionDiff'),
+  restoreRevisionBtn: document.getElementById('restoreRevisionBtn'),
+  settingsBtn: document.getElementById('settingsBtn'),
+  templateTriggerHint: document.getElementById('templateTriggerHint'),
+  templateSites: document.getElementById('templateSites'),
+  siteToggle: document.getElementById('siteToggle'),
+  siteEnabled: document.getElementById('siteEnabled'),
+  siteHost: document.getElementById('siteHost'),
+  syncWarning: document.getElementById('syncWarning')
 };
 
 // Initialize
 document.addEventListener('DOMContentLoaded', init);
 
 async function init() {
-  await loadTemplates();
+  // Formats registered in output-formats.js, so a new one shows up here too
+  renderOutputFormatOptions(elements.templateOutputFormat);
+  await Promise.all([loadTemplates(), loadSettings(), loadSiteStatus(), loadSyncStatus(), loadSchemas()]);
   renderTemplateList();
   setupEventListeners();
 }
@@ -68,7 +133,10 @@ function renderTemplateList(filter = '') {
     <div class="template-item" data-id="${t.id}">
       <div class="template-info">
         <div class="template-name">${escapeHtml(t.name)}</div>
-        <div class="template-trigger">${escapeHtml(t.trigger)}</div>
+        <div class="template-trigger">
+          ${escapeHtml(t.trigger)}
+          ${(t.sites || []).length > 0 ? `<span class="template-sites">· ${escapeHtml(t.sites.join(', '))}</span>` : ''}
+        </div>
       </div>
       <div class="template-actions">
         <button class="btn-icon" data-action="edit" data-id="${t.id}" title="편집">✏️</button>
@@ -112,7 +180,7 @@ function setupEventListeners() {
   
   // Delete button
   elements.deleteBtn.addEventListener('click', async () => {
-    if (currentEditId && confirm('이 템플릿을 삭제하시겠습니까?')) {
+    if (currentEditId && confirm('이 템플릿을 휴지통으로 옮기시겠습니까?')) {
       await deleteTemplate(currentEditId);
       showView('list');
     }
@@ -124,8 +192,28 @@ function setupEventListeners() {
     await saveCurrentTemplate();
   });
   
+  // JSON editor first, so it has redrawn before validation marks the text
+  jsonEditor = attachCodeEditor(elements.templateJson, {
+    getSchemaNames: () => schemas.map(s => s.name)
+  });
+
   // JSON validation on input
   elements.templateJson.addEventListener('input', validateJson);
+
+  // Live preview
+  elements.previewToggleBtn.addEventListener('click', togglePreview);
+  [elements.templateJson, elements.templateName, elements.templateTrigger].forEach(input => {
+    input.addEventListener('input', schedulePreview);
+  });
+  elements.templateOutputFormat.addEventListener('change', schedulePreview);
+
+  elements.editorTabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      if (!setEditorMode(tab.dataset.editorMode)) {
+        alert('JSON 오류를 고친 뒤에 빌더를 사용할 수 있습니다.');
+      }
+    });
+  });
   
   // Help
   elements.helpBtn.addEventListener('click', () => {
@@ -135,11 +223,129 @@ function setupEventListeners() {
   elements.helpBackBtn.addEventListener('click', () => {
     showView('edit');
   });
+
+  // Schema library
+  elements.schemaLibraryBtn.addEventListener('click', async () => {
+    await loadSchemas();
+    renderSchemaList();
+    showView('schemaList');
+  });
+
+  elements.schemaListBackBtn.addEventListener('click', () => {
+    showView('list');
+  });
+
+  elements.newSchemaBtn.addEventListener('click', () => {
+    openSchemaEditor(null);
+  });
+
+  elements.schemaList.addEventListener('click', (e) => {
+    const schemaItem = e.target.closest('.template-item');
+    if (schemaItem) {
+      openSchemaEditor(schemaItem.dataset.name);
+    }
+  });
+
+  elements.schemaBackBtn.addEventListener('click', () => {
+    showView('schemaList');
+  });
+
+  elements.schemaCancelBtn.addEventListener('click', () => {
+    showView('schemaList');
+  });
+
+  elements.schemaDeleteBtn.addEventListener('click', async () => {
+    // The background refuses while templates still reference it
+    if (currentSchemaName && confirm(`스키마 "${currentSchemaName}"을(를) 삭제하시겠습니까?`)) {
+      if (await deleteSchema(currentSchemaName)) {
+        showView('schemaList');
+      }
+    }
+  });
+
+  elements.schemaForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await saveCurrentSchema();
+  });
+
+  elements.schemaJson.addEventListener('input', () => {
+    validateSchemaJson();
+  });
+
+  // Import / Export
+  elements.transferBtn.addEventListener('click', () => {
+    openTransferView();
+  });
+
+  elements.transferBackBtn.addEventListener('click', () => {
+    showView('list');
+  });
+
+  elements.exportBtn.addEventListener('click', exportSelectedTemplates);
+
+  elements.importFile.addEventListener('change', async () => {
+    const file = elements.importFile.files[0];
+    if (file) {
+      await previewImport(await file.text());
+    }
+  });
+
+  elements.importConfirmBtn.addEventListener('click', runImport);
+
+  // Revisions
+  elements.historyBtn.addEventListener('click', openHistoryView);
+
+  elements.historyBackBtn.addEventListener('click', () => {
+    showView('edit');
+  });
+
+  elements.revisionList.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-revision-id]');
+    if (item) {
+      selectRevision(item.dataset.revisionId);
+    }
+  });
+
+  elements.restoreRevisionBtn.addEventListener('click', restoreSelectedRevision);
+
+  // Trash
+  elements.trashBtn.addEventListener('click', openTrashView);
+
+  elements.trashBackBtn.addEventListener('click', () => {
+    showView('list');
+  });
+
+  elements.trashList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (button?.dataset.action === 'restore') {
+      restoreTemplate(button.dataset.id, button.dataset.trigger);
+    } else if (button?.dataset.action === 'purge') {
+      purgeTrash([button.dataset.id]);
+    }
+  });
+
+  elements.emptyTrashBtn.addEventListener('click', () => purgeTrash());
+
+  // Settings and the full library live on the options page
+  elements.settingsBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+
+  // Site rules
+  elements.siteEnabled.addEventListener('change', toggleCurrentSite);
+
+  // Conflicts and quota warnings are explained in the settings on the options page
+  elements.syncWarning.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html#settings') });
+    window.close();
+  });
 }
 
 function showView(viewName) {
   Object.values(views).forEach(v => v.classList.remove('active'));
   views[viewName].classList.add('active');
+  document.body.classList.toggle('with-preview', viewName === 'edit' && previewOpen);
 }
 
 function openEditor(templateId) {
@@ -152,88 +358,174 @@ function openEditor(templateId) {
       elements.editorTitle.textContent = '템플릿 편집';
       elements.templateName.value = template.name;
       elements.templateTrigger.value = template.trigger;
+      elements.templateOutputFormat.value = template.outputFormat || 'json';
+      elements.templateSites.value = (template.sites || []).join('\n');
       // Use stored JSON string directly to preserve order
       elements.templateJson.value = template.templateJson || JSON.stringify(template.template, null, 2);
       elements.deleteBtn.style.display = 'block';
+      elements.historyBtn.hidden = false;
     }
   } else {
     // New template
     elements.editorTitle.textContent = '새 템플릿';
     elements.templateName.value = '';
     elements.templateTrigger.value = '';
+    elements.templateOutputFormat.value = 'json';
+    elements.templateSites.value = '';
     elements.templateJson.value = '';
     elements.deleteBtn.style.display = 'none';
+    elements.historyBtn.hidden = true;
   }
   
   elements.jsonStatus.textContent = '';
+  jsonEditor.setDiagnostics([]);
+  elements.templateTriggerHint.textContent = describeTriggerSettings(settings);
+  // Templates the builder can't read open as JSON
+  if (!setEditorMode(editorMode)) {
+    setEditorMode('json');
+  }
   showView('edit');
+  updatePreview();
 }
 
-function validateJson() {
-  const value = elements.templateJson.value.trim();
-  
-  if (!value) {
-    elements.jsonStatus.textContent = '';
-    elements.jsonStatus.className = 'hint json-status';
+// ===== Visual Builder =====
+
+/**
+ * Switch the template editor between builder and JSON text
+ * Returns false (and stays put) when the JSON can't be shown in the builder
+ */
+function setEditorMode(mode) {
+  if (mode === 'builder' && !refreshBuilder()) {
     return false;
   }
-  
+
+  editorMode = mode;
+  elements.templateBuilder.hidden = mode !== 'builder';
+  elements.templateJson.hidden = mode === 'builder';
+  elements.editorTabs.forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.editorMode === mode);
+  });
+  return true;
+}
+
+/**
+ * Rebuild the builder from the JSON text; every builder edit writes the text back
+ */
+function refreshBuilder() {
+  const text = elements.templateJson.value.trim();
+  let tree;
   try {
-    JSON.parse(value);
-    elements.jsonStatus.textContent = '✓ 유효한 JSON';
-    elements.jsonStatus.className = 'hint json-status valid';
-    return true;
+    tree = text ? parseOrderedJson(text) : { kind: 'object', entries: [] };
   } catch (e) {
-    elements.jsonStatus.textContent = `✗ JSON 오류: ${e.message}`;
-    elements.jsonStatus.className = 'hint json-status invalid';
     return false;
   }
+  if (tree.kind !== 'object') return false;
+
+  builderTree = tree;
+  renderTemplateBuilder(elements.templateBuilder, builderTree, {
+    schemaNames: schemas.map(s => s.name),
+    onChange: () => {
+      elements.templateJson.value = serializeOrderedJson(builderTree);
+      validateJson();
+      schedulePreview();
+    }
+  });
+  schedulePreview();
+  return true;
+}
+
+// ===== Live Preview =====
+function togglePreview() {
+  previewOpen = !previewOpen;
+  elements.templatePreview.hidden = !previewOpen;
+  elements.previewToggleBtn.classList.toggle('active', previewOpen);
+  document.body.classList.toggle('with-preview', previewOpen);
+  if (previewOpen) {
+    updatePreview();
+  }
+}
+
+function schedulePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(updatePreview, 300);
+}
+
+/**
+ * Compose the draft in the background, then mark its errors in the builder
+ * and, when the pane is open, render the form and sample output
+ */
+async function updatePreview() {
+  clearTimeout(previewTimer);
+  const request = ++previewRequest;
+  const text = elements.templateJson.value;
+
+  let result;
+  if (!text.trim()) {
+    result = { errors: [{ path: '', message: '템플릿 JSON을 입력하면 미리보기가 표시됩니다' }] };
+  } else {
+    try {
+      result = await chrome.runtime.sendMessage({
+        type: 'PREVIEW_TEMPLATE',
+        template: {
+          id: currentEditId,
+          name: elements.templateName.value.trim(),
+          trigger: elements.templateTrigger.value.trim(),
+          outputFormat: elements.templateOutputFormat.value,
+          template: text
+        }
+      });
+    } catch (e) {
+      console.error('Failed to preview template:', e);
+      return;
+    }
+  }
+
+  // A later edit has already asked again
+  if (request !== previewRequest) return;
+
+  markBuilderErrors(elements.templateBuilder, result.errors || []);
+  if (previewOpen) {
+    renderTemplatePreview(elements.templatePreview, result);
+  }
+}
+
+/**
+ * Check the template against the marker grammar, list its errors and warnings
+ * with their line:column and underline them in the editor. Returns the diagnostics.
+ */
+function validateJson() {
+  const diagnostics = checkTemplateText(elements.templateJson.value, elements.jsonStatus, schemas.map(s => s.name));
+  jsonEditor.setDiagnostics(diagnostics);
+  return diagnostics;
+}
+
+/**
+ * Check the schema editor's JSON against the marker grammar; returns the diagnostics
+ */
+function validateSchemaJson() {
+  // $array may refer to other global schemas, or to this one under its new name
+  const schemaNames = [
+    ...schemas.map(s => s.name).filter(name => name !== currentSchemaName),
+    elements.schemaName.value.trim()
+  ];
+  return checkSchemaText(elements.schemaJson.value, elements.schemaJsonStatus, schemaNames);
 }
 
 async function saveCurrentTemplate() {
   const name = elements.templateName.value.trim();
   const trigger = elements.templateTrigger.value.trim();
+  const outputFormat = elements.templateOutputFormat.value;
+  const sites = parseSiteList(elements.templateSites.value);
   const jsonStr = elements.templateJson.value.trim();
   
-  // Validation
-  if (!name) {
-    alert('템플릿 이름을 입력하세요.');
-    elements.templateName.focus();
-    return;
-  }
-  
-  if (!trigger) {
-    alert('트리거 키워드를 입력하세요.');
-    elements.templateTrigger.focus();
-    return;
-  }
-  
-  if (!trigger.startsWith('/')) {
-    alert('트리거 키워드는 /로 시작해야 합니다.');
-    elements.templateTrigger.focus();
-    return;
-  }
-  
-  if (!jsonStr) {
-    alert('템플릿 JSON을 입력하세요.');
-    elements.templateJson.focus();
-    return;
-  }
-  
-  let templateObj;
-  try {
-    templateObj = JSON.parse(jsonStr);
-  } catch (e) {
-    alert('유효한 JSON 형식이 아닙니다.');
-    elements.templateJson.focus();
-    return;
-  }
-  
-  // Check for duplicate trigger (except current template)
-  const existingTrigger = templates.find(t => t.trigger === trigger && t.id !== currentEditId);
-  if (existingTrigger) {
-    alert(`트리거 "${trigger}"는 이미 다른 템플릿에서 사용 중입니다.`);
-    elements.templateTrigger.focus();
+  const problem = findTemplateFormError(
+    { id: currentEditId, name, trigger, sites, json: jsonStr },
+    { templates, settings, diagnostics: validateJson() }
+  );
+  if (problem) {
+    alert(problem.message);
+    const fields = { name: elements.templateName, trigger: elements.templateTrigger, json: elements.templateJson };
+    fields[problem.field].focus();
     return;
   }
   
@@ -241,11 +533,18 @@ async function saveCurrentTemplate() {
     id: currentEditId,
     name,
     trigger,
+    outputFormat,
+    sites,
     template: jsonStr  // Send raw JSON string to preserve exact key order
   };
   
   try {
-    await chrome.runtime.sendMessage({ type: 'SAVE_TEMPLATE', template: templateData });
+    const result = await chrome.runtime.sendMessage({ type: 'SAVE_TEMPLATE', template: templateData });
+    if (result && result.error) {
+      alert(`템플릿을 저장할 수 없습니다.\n\n${result.error}`);
+      elements.templateJson.focus();
+      return;
+    }
     await loadTemplates();
     renderTemplateList();
     showView('list');
@@ -266,8 +565,485 @@ async function deleteTemplate(id) {
   }
 }
 
+// ===== Revisions =====
+async function openHistoryView() {
+  let revisions = [];
+  try {
+    revisions = await chrome.runtime.sendMessage({ type: 'GET_REVISIONS', templateId: currentEditId });
+  } catch (e) {
+    console.error('Failed to load revisions:', e);
+  }
+
+  currentRevisionId = null;
+  elements.revisionDiff.innerHTML = '';
+  elements.restoreRevisionBtn.hidden = true;
+  elements.revisionList.innerHTML = revisions.length === 0
+    ? `
+      <div class="empty-state">
+        <div class="empty-state-text">저장된 이전 버전이 없습니다</div>
+      </div>
+    `
+    : revisions.map(r => `
+      <div class="template-item" data-revision-id="${escapeHtml(r.id)}">
+        <div class="template-info">
+          <div class="template-name">${new Date(r.savedAt).toLocaleString()}</div>
+          <div class="template-trigger">
+            ${escapeHtml(r.trigger)} <span class="template-sites">· ${escapeHtml(r.name)}</span>
+          </div>
+        </div>
+      </div>
+    `).join('');
+
+  showView('history');
+}
+
+/**
+ * Show the line diff from a revision to what is in the editor now
+ */
+async function selectRevision(revisionId) {
+  let diff;
+  try {
+    diff = await chrome.runtime.sendMessage({
+      type: 'DIFF_REVISION',
+      templateId: currentEditId,
+      revisionId,
+      currentJson: elements.templateJson.value
+    });
+  } catch (e) {
+    console.error('Failed to diff revision:', e);
+    return;
+  }
+  if (diff.error) {
+    alert(diff.error);
+    return;
+  }
+
+  currentRevisionId = revisionId;
+  elements.revisionList.querySelectorAll('[data-revision-id]').forEach(item => {
+    item.classList.toggle('selected', item.dataset.revisionId === revisionId);
+  });
+
+  const markers = { same: ' ', add: '+', remove: '-' };
+  elements.revisionDiff.innerHTML = diff.every(line => line.type === 'same')
+    ? '<div class="diff-line">현재 내용과 같습니다</div>'
+    : diff.map(line => `<div class="diff-line ${line.type}">${markers[line.type]} ${escapeHtml(line.text)}</div>`).join('');
+  elements.restoreRevisionBtn.hidden = false;
+}
+
+async function restoreSelectedRevision() {
+  if (!currentRevisionId || !confirm('이 버전으로 복원하시겠습니까? 저장하지 않은 편집 내용은 사라집니다.')) {
+    return;
+  }
+
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: 'RESTORE_REVISION',
+      templateId: currentEditId,
+      revisionId: currentRevisionId
+    });
+    if (result.error) {
+      alert(`복원하지 못했습니다.\n\n${result.error}`);
+      return;
+    }
+    await loadTemplates();
+    renderTemplateList();
+    openEditor(currentEditId);
+  } catch (e) {
+    console.error('Failed to restore revision:', e);
+    alert('복원에 실패했습니다.');
+  }
+}
+
+// ===== Trash =====
+async function openTrashView() {
+  await renderTrash();
+  showView('trash');
+}
+
+async function renderTrash() {
+  let trash = [];
+  try {
+    trash = await chrome.runtime.sendMessage({ type: 'GET_TRASH' });
+  } catch (e) {
+    console.error('Failed to load trash:', e);
+  }
+
+  elements.emptyTrashBtn.hidden = trash.length === 0;
+  elements.trashList.innerHTML = trash.length === 0
+    ? `
+      <div class="empty-state">
+        <div class="empty-state-icon">🗑️</div>
+        <div class="empty-state-text">휴지통이 비어 있습니다</div>
+      </div>
+    `
+    : trash.map(({ template, deletedAt }) => `
+      <div class="template-item">
+        <div class="template-info">
+          <div class="template-name">${escapeHtml(template.name)}</div>
+          <div class="template-trigger">
+            ${escapeHtml(template.trigger)}
+            <span class="template-sites">· ${new Date(deletedAt).toLocaleDateString()} 삭제</span>
+          </div>
+        </div>
+        <div class="template-actions">
+          <button class="btn-icon" data-action="restore" data-id="${escapeHtml(template.id)}" data-trigger="${escapeHtml(template.trigger)}" title="복원">↩️</button>
+          <button class="btn-icon" data-action="purge" data-id="${escapeHtml(template.id)}" title="영구 삭제">✕</button>
+        </div>
+      </div>
+    `).join('');
+}
+
+async function restoreTemplate(id, trigger) {
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'RESTORE_TEMPLATE', id });
+    if (result.error) {
+      alert(result.error);
+    } else if (result.trigger !== trigger) {
+      alert(`${trigger} 트리거를 다른 템플릿이 쓰고 있어 ${result.trigger}(으)로 복원했습니다.`);
+    }
+    await Promise.all([loadTemplates(), renderTrash()]);
+    renderTemplateList();
+  } catch (e) {
+    console.error('Failed to restore template:', e);
+    alert('템플릿 복원에 실패했습니다.');
+  }
+}
+
+/**
+ * Permanently delete the given trashed templates, or everything when ids is omitted
+ */
+async function purgeTrash(ids) {
+  const message = ids ? '이 템플릿을 영구 삭제하시겠습니까?' : '휴지통을 비우시겠습니까?';
+  if (!confirm(`${message} 되돌릴 수 없습니다.`)) return;
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'PURGE_TRASH', ids });
+    await renderTrash();
+  } catch (e) {
+    console.error('Failed to empty trash:', e);
+    alert('영구 삭제에 실패했습니다.');
+  }
+}
+
+// ===== Settings =====
+// Edited on the options page; the popup only reads them for the trigger rules
+async function loadSettings() {
+  try {
+    settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  } catch (e) {
+    console.error('Failed to load settings:', e);
+  }
+}
+
+// ===== Sync =====
+
+/**
+ * Quota warnings and conflicts show as a banner on the list; the options page has the details
+ */
+async function loadSyncStatus() {
+  try {
+    const syncStatus = await chrome.runtime.sendMessage({ type: 'GET_SYNC_STATUS' });
+    const conflicts = syncStatus.enabled ? syncStatus.conflicts : [];
+    const warning = syncStatus.enabled ? syncStatus.warning : null;
+
+    if (warning) {
+      elements.syncWarning.textContent = warning;
+    } else if (conflicts.length > 0) {
+      elements.syncWarning.textContent = `동기화 중 충돌한 템플릿이 ${conflicts.length}개 있습니다. 눌러서 확인하세요.`;
+    }
+    elements.syncWarning.hidden = !warning && conflicts.length === 0;
+  } catch (e) {
+    console.error('Failed to load sync status:', e);
+  }
+}
+
+// ===== Current Site =====
+
+/**
+ * Show the "use on this site" toggle for the active tab (web pages only)
+ */
+async function loadSiteStatus() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !/^https?:/.test(tab.url || '')) return;
+
+    currentTabUrl = tab.url;
+    const status = await chrome.runtime.sendMessage({ type: 'GET_SITE_STATUS', url: tab.url });
+    elements.siteHost.textContent = new URL(tab.url).hostname;
+    elements.siteEnabled.checked = status.enabled;
+    elements.siteToggle.hidden = false;
+  } catch (e) {
+    console.error('Failed to load site status:', e);
+  }
+}
+
+async function toggleCurrentSite() {
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: 'SET_SITE_ENABLED',
+      url: currentTabUrl,
+      enabled: elements.siteEnabled.checked
+    });
+    settings = result.settings;
+    if (result.blockedBy.length > 0) {
+      // Only this host's own entry is removed; wider patterns are the user's to change
+      elements.siteEnabled.checked = false;
+      alert(`"${result.blockedBy.join('", "')}" 규칙이 이 사이트를 계속 막고 있습니다.\n설정의 '사용하지 않을 사이트'에서 규칙을 고치세요.`);
+    }
+  } catch (e) {
+    console.error('Failed to update site rules:', e);
+    alert('설정 저장에 실패했습니다.');
+  }
+}
+
+// ===== Import / Export =====
+function openTransferView() {
+  elements.exportList.innerHTML = templates.length === 0
+    ? '<div class="hint">내보낼 템플릿이 없습니다</div>'
+    : templates.map(t => `
+      <label class="checkbox-label">
+        <input type="checkbox" value="${escapeHtml(t.id)}" checked />
+        ${escapeHtml(t.name)} <code>${escapeHtml(t.trigger)}</code>
+      </label>
+    `).join('');
+
+  resetImport();
+  showView('transfer');
+}
+
+async function exportSelectedTemplates() {
+  const ids = Array.from(elements.exportList.querySelectorAll('input:checked')).map(input => input.value);
+  if (ids.length === 0) {
+    alert('내보낼 템플릿을 선택하세요.');
+    return;
+  }
+
+  try {
+    const bundle = await chrome.runtime.sendMessage({ type: 'EXPORT_TEMPLATES', ids });
+    downloadTemplateBundle(bundle);
+  } catch (e) {
+    console.error('Failed to export templates:', e);
+    alert('템플릿 내보내기에 실패했습니다.');
+  }
+}
+
+function resetImport() {
+  pendingImportText = null;
+  elements.importFile.value = '';
+  elements.importReport.innerHTML = '';
+  elements.importConfirmBtn.hidden = true;
+}
+
+/**
+ * Show what an import would do: invalid items, clashes with a skip/overwrite/rename choice,
+ * and templates that are simply added
+ */
+async function previewImport(text) {
+  resetImport();
+
+  let preview;
+  try {
+    preview = await chrome.runtime.sendMessage({ type: 'PREVIEW_IMPORT', text });
+  } catch (e) {
+    console.error('Failed to read import file:', e);
+    alert('파일을 읽지 못했습니다.');
+    return;
+  }
+
+  if (preview.error) {
+    alert(`가져올 수 없는 파일입니다.\n\n${preview.error}`);
+    return;
+  }
+
+  pendingImportText = text;
+  elements.importReport.innerHTML = preview.items.map(renderImportItem).join('');
+  elements.importConfirmBtn.hidden = !preview.items.some(item => item.errors.length === 0);
+}
+
+function renderImportItem(item) {
+  let status;
+  if (item.errors.length > 0) {
+    status = `
+      <div class="import-item-status">형식 오류로 건너뜁니다</div>
+      <ul class="import-item-errors">${item.errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>
+    `;
+  } else if (item.conflict) {
+    const reason = item.conflict.type === 'id' ? '같은 ID' : '같은 트리거';
+    status = `
+      <div class="import-item-status">
+        ${reason}의 "${escapeHtml(item.conflict.name)}" (${escapeHtml(item.conflict.trigger)})과(와) 겹칩니다
+      </div>
+      <select data-import-index="${item.index}">
+        <option value="skip">건너뛰기</option>
+        <option value="overwrite">덮어쓰기</option>
+        <option value="rename">새 트리거로 추가</option>
+      </select>
+    `;
+  } else {
+    status = '<div class="import-item-status">새로 추가됩니다</div>';
+  }
+  // Warnings don't stop the import, so they only matter for items that go ahead
+  if (item.errors.length === 0 && item.warnings.length > 0) {
+    status += `<ul class="import-item-warnings">${item.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>`;
+  }
+
+  return `
+    <div class="import-item">
+      <div class="import-item-title">
+        <span>${escapeHtml(item.name || '(이름 없음)')}</span>
+        <span class="import-item-trigger">${escapeHtml(item.trigger)}</span>
+      </div>
+      ${status}
+    </div>
+  `;
+}
+
+async function runImport() {
+  if (!pendingImportText) return;
+
+  const resolutions = {};
+  elements.importReport.querySelectorAll('[data-import-index]').forEach(select => {
+    resolutions[select.dataset.importIndex] = select.value;
+  });
+
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: 'IMPORT_TEMPLATES',
+      text: pendingImportText,
+      resolutions
+    });
+    if (result.error) {
+      alert(`가져오기에 실패했습니다.\n\n${result.error}`);
+      return;
+    }
+
+    let summary = `${result.imported}개를 가져오고 이미 있는 ${result.skipped}개를 건너뛰었습니다.`;
+    if (result.failed.length > 0) {
+      summary += '\n\n가져오지 못한 템플릿:\n'
+        + result.failed.map(f => `- ${f.name}: ${f.error}`).join('\n');
+    }
+    alert(summary);
+
+    await loadTemplates();
+    renderTemplateList();
+    showView('list');
+  } catch (e) {
+    console.error('Failed to import templates:', e);
+    alert('가져오기에 실패했습니다.');
+  }
+}
+
+// ===== Schema Library =====
+async function loadSchemas() {
+  try {
+    schemas = await chrome.runtime.sendMessage({ type: 'GET_ALL_SCHEMAS' });
+  } catch (e) {
+    console.error('Failed to load schemas:', e);
+    schemas = [];
+  }
+}
+
+function renderSchemaList() {
+  if (schemas.length === 0) {
+    elements.schemaList.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon">🧩</div>
+        <div class="empty-state-text">공용 스키마가 없습니다.</div>
+      </div>
+    `;
+    return;
+  }
+
+  elements.schemaList.innerHTML = schemas.map(s => `
+    <div class="template-item" data-name="${escapeHtml(s.name)}">
+      <div class="template-info">
+        <div class="template-name">${escapeHtml(s.name)}</div>
+        <div class="template-trigger">$array:${escapeHtml(s.name)}</div>
+      </div>
+      <div class="template-actions">
+        <button class="btn-icon" title="편집">✏️</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+function openSchemaEditor(name) {
+  currentSchemaName = name;
+  const schema = name ? schemas.find(s => s.name === name) : null;
+
+  elements.schemaEditorTitle.textContent = schema ? '스키마 편집' : '새 스키마';
+  elements.schemaName.value = schema ? schema.name : '';
+  elements.schemaJson.value = schema ? schema.schemaJson : '';
+  elements.schemaDeleteBtn.style.display = schema ? 'block' : 'none';
+  elements.schemaJsonStatus.textContent = '';
+  showView('schemaEdit');
+}
+
+async function saveCurrentSchema() {
+  const name = elements.schemaName.value.trim();
+  const jsonStr = elements.schemaJson.value.trim();
+
+  if (!/^[A-Za-z_][\w-]*$/.test(name)) {
+    alert('스키마 이름은 영문자나 _로 시작하고 영문, 숫자, _, - 만 사용할 수 있습니다.');
+    elements.schemaName.focus();
+    return;
+  }
+
+  if (schemas.some(s => s.name === name && s.name !== currentSchemaName)) {
+    alert(`스키마 "${name}"은(는) 이미 있습니다.`);
+    elements.schemaName.focus();
+    return;
+  }
+
+  const errors = validateSchemaJson().filter(d => d.severity === 'error');
+  if (!jsonStr || errors.length > 0) {
+    alert(jsonStr ? `스키마에 오류가 있어 저장할 수 없습니다.\n\n${elements.schemaJsonStatus.textContent}` : '스키마 JSON을 입력하세요.');
+    elements.schemaJson.focus();
+    return;
+  }
+
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: 'SAVE_SCHEMA',
+      schema: { name, originalName: currentSchemaName, schema: jsonStr }
+    });
+    // Grammar errors, or a rename while templates still use the old name
+    if (result?.error) {
+      alert(result.error);
+      return;
+    }
+    await loadSchemas();
+    renderSchemaList();
+    showView('schemaList');
+  } catch (e) {
+    console.error('Failed to save schema:', e);
+    alert('스키마 저장에 실패했습니다.');
+  }
+}
+
+/**
+ * Returns false when the schema was kept (still referenced, or the request failed)
+ */
+async function deleteSchema(name) {
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'DELETE_SCHEMA', name });
+    if (result?.error) {
+      alert(result.error);
+      return false;
+    }
+    await loadSchemas();
+    renderSchemaList();
+    return true;
+  } catch (e) {
+    console.error('Failed to delete schema:', e);
+    alert('스키마 삭제에 실패했습니다.');
+    return false;
+  }
+}
+
 function escapeHtml(str) {
   const div = document.createElement('div');
   div.textContent = str;
-  return div.innerHTML;
+  // Also used inside attributes (data-id, data-trigger, value)
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
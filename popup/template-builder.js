@@ -0,0 +1,485 @@
+// PromptCanvas - Template Builder
+// Visual editor for template JSON: a tree of keys with a field type each, kept in sync
+// with the JSON text. Works on an ordered node tree rather than plain objects because
+// JSON.parse moves integer-like keys ("1", "2") ahead of the others.
+//
+// Nodes: { kind: 'object', entries: [{ key, node }] } | { kind: 'array', items: [node] }
+//        | { kind: 'string', value } | { kind: 'literal', value }
+
+const FIELD_TYPES = [
+  { type: 'input', label: '한 줄 입력' },
+  { type: 'textarea', label: '여러 줄 입력' },
+  { type: 'select', label: '선택' },
+  { type: 'enum', label: '선택 (목록 값만)' },
+  { type: 'boolean', label: '예 / 아니오' },
+  { type: 'number', label: '숫자' },
+  { type: 'slider', label: '슬라이더' },
+  { type: 'array', label: '반복 목록 (스키마)' },
+  { type: 'include', label: '다른 템플릿 포함' },
+  { type: 'static', label: '고정 텍스트' },
+  { type: 'nested', label: '하위 항목' },
+  { type: 'raw', label: 'JSON 값' }
+];
+
+const MARKER_TYPES = ['input', 'textarea', 'select', 'enum', 'boolean', 'number', 'slider', 'array', 'include'];
+
+// ===== Ordered JSON =====
+
+/**
+ * Parse JSON text into an ordered node tree; throws SyntaxError on invalid JSON
+ */
+export function parseOrderedJson(text) {
+  // Let the engine report syntax errors with its usual messages
+  JSON.parse(text);
+
+  const state = { text, index: 0 };
+  const node = parseNode(state);
+  skipWhitespace(state);
+  return node;
+}
+
+function parseNode(state) {
+  skipWhitespace(state);
+  const char = state.text[state.index];
+
+  if (char === '{') {
+    state.index++;
+    const entries = [];
+    skipWhitespace(state);
+    if (state.text[state.index] === '}') {
+      state.index++;
+      return { kind: 'object', entries };
+    }
+    while (true) {
+      skipWhitespace(state);
+      const key = parseString(state);
+      skipWhitespace(state);
+      state.index++; // ':'
+      entries.push({ key, node: parseNode(state) });
+      skipWhitespace(state);
+      if (state.text[state.index++] === '}') break;
+    }
+    return { kind: 'object', entries };
+  }
+
+  if (char === '[') {
+    state.index++;
+    const items = [];
+    skipWhitespace(state);
+    if (state.text[state.index] === ']') {
+      state.index++;
+      return { kind: 'array', items };
+    }
+    while (true) {
+      items.push(parseNode(state));
+      skipWhitespace(state);
+      if (state.text[state.index++] === ']') break;
+    }
+    return { kind: 'array', items };
+  }
+
+  if (char === '"') {
+    return { kind: 'string', value: parseString(state) };
+  }
+
+  const literal = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+  literal.lastIndex = state.index;
+  const match = literal.exec(state.text);
+  state.index = literal.lastIndex;
+  return { kind: 'literal', value: JSON.parse(match[0]) };
+}
+
+function parseString(state) {
+  const start = state.index;
+  state.index++;
+  while (state.text[state.index] !== '"') {
+    state.index += state.text[state.index] === '\\' ? 2 : 1;
+  }
+  state.index++;
+  return JSON.parse(state.text.slice(start, state.index));
+}
+
+function skipWhitespace(state) {
+  while (/\s/.test(state.text[state.index] || '')) {
+    state.index++;
+  }
+}
+
+/**
+ * Serialize a node tree the way JSON.stringify(value, null, 2) would, in tree order
+ */
+export function serializeOrderedJson(node, indent = '') {
+  const inner = `${indent}  `;
+  if (node.kind === 'object') {
+    if (node.entries.length === 0) return '{}';
+    const lines = node.entries.map(e => `${inner}${JSON.stringify(e.key)}: ${serializeOrderedJson(e.node, inner)}`);
+    return `{\n${lines.join(',\n')}\n${indent}}`;
+  }
+  if (node.kind === 'array') {
+    if (node.items.length === 0) return '[]';
+    const lines = node.items.map(item => `${inner}${serializeOrderedJson(item, inner)}`);
+    return `[\n${lines.join(',\n')}\n${indent}]`;
+  }
+  return JSON.stringify(node.value);
+}
+
+// ===== Field Model =====
+
+/**
+ * Describe a node as a builder field:
+ * { type, label?, options?, range?, target?, block? } where block is a trailing {...} options block
+ */
+function describeField(node) {
+  if (node.kind === 'object') return { type: 'nested' };
+  if (node.kind !== 'string') return { type: 'raw' };
+
+  const match = node.value.match(/^\$([a-z]+)(?::([^{]*))?(\{.*\})?$/s);
+  if (!match || !MARKER_TYPES.includes(match[1])) {
+    return { type: 'static' };
+  }
+
+  const [, type, spec = '', block = ''] = match;
+  switch (type) {
+    case 'select':
+    case 'enum':
+      return { type, options: spec ? spec.split('|').map(o => o.trim()) : [], block };
+    case 'number':
+    case 'slider':
+      return { type, range: spec.split('|').map(part => part.trim()), block };
+    case 'array':
+    case 'include':
+      return { type, target: spec.trim(), block };
+    default:
+      return { type, label: spec.trim(), block };
+  }
+}
+
+/**
+ * Build the node for a field from its type and the values in its editor row
+ */
+function buildNode(type, values) {
+  switch (type) {
+    case 'nested':
+      return { kind: 'object', entries: [] };
+    case 'static':
+      return { kind: 'string', value: values.text || '' };
+    case 'raw':
+      return { kind: 'literal', value: null };
+    case 'boolean':
+      return { kind: 'string', value: `$boolean${values.block || ''}` };
+    case 'select':
+    case 'enum':
+      return { kind: 'string', value: marker(type, (values.options || []).join('|'), values.block) };
+    case 'number':
+    case 'slider': {
+      const range = (values.range || []).slice();
+      while (range.length > 0 && range[range.length - 1] === '') range.pop();
+      return { kind: 'string', value: marker(type, range.join('|'), values.block) };
+    }
+    case 'array':
+    case 'include':
+      return { kind: 'string', value: marker(type, values.target || '', values.block) };
+    default:
+      return { kind: 'string', value: marker(type, values.label || '', values.block) };
+  }
+}
+
+function marker(type, spec, block = '') {
+  return `$${type}${spec ? `:${spec}` : ''}${block}`;
+}
+
+/**
+ * Carry what still makes sense over to a newly chosen type (e.g. the label)
+ */
+function convertNode(node, type) {
+  const field = describeField(node);
+  const text = node.kind === 'string' ? node.value : '';
+  return buildNode(type, {
+    label: field.label,
+    options: field.options || ['옵션1', '옵션2'],
+    range: field.range,
+    target: field.target,
+    block: field.block,
+    text: field.type === 'static' ? text : ''
+  });
+}
+
+// ===== Rendering =====
+
+/**
+ * Render the builder for a template tree (the root must be an object)
+ * The tree is edited in place; onChange() is called after every edit
+ * schemaNames lists global schemas offered for "반복 목록" fields
+ */
+export function renderTemplateBuilder(container, root, { schemaNames = [], onChange }) {
+  const render = () => {
+    const localSchemas = root.entries.find(e => e.key === '$schemas')?.node;
+    const names = [...new Set([
+      ...(localSchemas?.kind === 'object' ? localSchemas.entries.map(e => e.key) : []),
+      ...schemaNames
+    ])];
+
+    container.innerHTML = `
+      ${renderEntries(root, '')}
+      <div class="builder-actions">
+        <button type="button" class="btn btn-secondary" data-role="add" data-path="">+ 키 추가</button>
+        <button type="button" class="btn btn-secondary" data-role="add-schema">+ 스키마 추가</button>
+      </div>
+      <datalist id="builderSchemaNames">
+        ${names.map(name => `<option value="${escapeHtml(name)}"></option>`).join('')}
+      </datalist>
+    `;
+  };
+
+  const changed = (rerender) => {
+    if (rerender) render();
+    onChange();
+  };
+
+  container.oninput = (e) => {
+    const fieldEl = e.target.closest('[data-field]');
+    // Type changes are handled on change, once the new type is picked
+    if (!fieldEl || e.target.dataset.role === 'type') return;
+    const { parent, index } = resolvePath(root, fieldEl.dataset.field);
+    const entry = parent.entries[index];
+
+    if (e.target.dataset.role === 'key') {
+      entry.key = e.target.value;
+      markDuplicateKeys(fieldEl.parentElement);
+    } else if (e.target.dataset.role === 'raw') {
+      try {
+        entry.node = parseOrderedJson(e.target.value);
+        e.target.classList.remove('invalid');
+      } catch (err) {
+        e.target.classList.add('invalid');
+        return;
+      }
+    } else {
+      entry.node = buildNode(fieldEl.dataset.type, readFieldValues(fieldEl));
+    }
+    changed(false);
+  };
+
+  container.onchange = (e) => {
+    if (e.target.dataset.role !== 'type') return;
+    const fieldEl = e.target.closest('[data-field]');
+    const { parent, index } = resolvePath(root, fieldEl.dataset.field);
+    parent.entries[index].node = convertNode(parent.entries[index].node, e.target.value);
+    changed(true);
+  };
+
+  container.onclick = (e) => {
+    const button = e.target.closest('button[data-role]');
+    if (!button) return;
+
+    const role = button.dataset.role;
+    if (role === 'add') {
+      const target = button.dataset.path ? resolveNode(root, button.dataset.path) : root;
+      const isSchemaList = button.dataset.schemas === 'true';
+      target.entries.push({
+        key: uniqueKey(target, isSchemaList ? 'schema' : 'field'),
+        node: isSchemaList ? { kind: 'object', entries: [] } : buildNode('input', {})
+      });
+    } else if (role === 'add-schema') {
+      let schemas = root.entries.find(e => e.key === '$schemas');
+      if (!schemas || schemas.node.kind !== 'object') {
+        schemas = { key: '$schemas', node: { kind: 'object', entries: [] } };
+        root.entries.push(schemas);
+      }
+      schemas.node.entries.push({ key: uniqueKey(schemas.node, 'schema'), node: { kind: 'object', entries: [] } });
+    } else if (role === 'option-add' || role === 'option-remove') {
+      const fieldEl = button.closest('[data-field]');
+      const { parent, index } = resolvePath(root, fieldEl.dataset.field);
+      const values = readFieldValues(fieldEl);
+      if (role === 'option-add') {
+        values.options.push(`옵션${values.options.length + 1}`);
+      } else {
+        values.options.splice(parseInt(button.dataset.index, 10), 1);
+      }
+      parent.entries[index].node = buildNode(fieldEl.dataset.type, values);
+    } else {
+      const fieldEl = button.closest('[data-field]');
+      const { parent, index } = resolvePath(root, fieldEl.dataset.field);
+      const swap = role === 'up' ? index - 1 : index + 1;
+      if (role === 'remove') {
+        parent.entries.splice(index, 1);
+      } else if (swap >= 0 && swap < parent.entries.length) {
+        [parent.entries[index], parent.entries[swap]] = [parent.entries[swap], parent.entries[index]];
+      } else {
+        return;
+      }
+    }
+    changed(true);
+  };
+
+  render();
+}
+
+function renderEntries(objectNode, path, isSchemaList = false, keyPath = '') {
+  if (objectNode.entries.length === 0) {
+    return `<div class="hint builder-empty">${isSchemaList ? '스키마가 없습니다' : '항목이 없습니다'}</div>`;
+  }
+  const keys = objectNode.entries.map(e => e.key);
+  return objectNode.entries
+    .map((entry, index) => renderField(entry, path ? `${path}.${index}` : `${index}`, isSchemaList,
+      keys.indexOf(entry.key) !== index, keyPath ? `${keyPath}.${entry.key}` : entry.key))
+    .join('');
+}
+
+function renderField(entry, path, isSchema, isDuplicate, keyPath) {
+  const field = describeField(entry.node);
+  const isSchemaList = entry.key === '$schemas' && field.type === 'nested';
+
+  const typeSelect = isSchemaList ? '<span class="builder-type-label">스키마 목록</span>' : `
+    <select data-role="type" title="필드 종류">
+      ${FIELD_TYPES.map(t => `<option value="${t.type}" ${t.type === field.type ? 'selected' : ''}>${t.label}</option>`).join('')}
+    </select>
+  `;
+
+  return `
+    <div class="builder-field" data-field="${path}" data-key="${escapeHtml(keyPath)}" data-type="${field.type}">
+      <div class="builder-row">
+        <input type="text" class="builder-key ${isDuplicate ? 'invalid' : ''}" data-role="key"
+          value="${escapeHtml(entry.key)}" placeholder="${isSchema ? '스키마 이름' : '키'}" />
+        ${typeSelect}
+        <button type="button" class="btn-icon" data-role="up" title="위로">↑</button>
+        <button type="button" class="btn-icon" data-role="down" title="아래로">↓</button>
+        <button type="button" class="btn-icon" data-role="remove" title="삭제">✕</button>
+      </div>
+      ${renderFieldDetail(entry.node, field, path, isSchemaList, keyPath)}
+    </div>
+  `;
+}
+
+function renderFieldDetail(node, field, path, isSchemaList, keyPath) {
+  const block = field.block !== undefined ? `
+    <input type="text" class="builder-block" data-role="block" value="${escapeHtml(field.block)}"
+      placeholder='추가 옵션 (예: {default:"값",required})' />
+  ` : '';
+
+  switch (field.type) {
+    case 'nested':
+      return `
+        <div class="builder-children">
+          ${renderEntries(node, path, isSchemaList, keyPath)}
+          <button type="button" class="btn-link" data-role="add" data-path="${path}" data-schemas="${isSchemaList}">
+            ${isSchemaList ? '+ 스키마 추가' : '+ 하위 키 추가'}
+          </button>
+        </div>
+      `;
+    case 'static':
+      return `<div class="builder-detail"><input type="text" data-role="text" value="${escapeHtml(node.value)}" placeholder="항상 이 값이 들어갑니다" /></div>`;
+    case 'raw':
+      return `<div class="builder-detail"><input type="text" class="builder-raw" data-role="raw" value="${escapeHtml(serializeOrderedJson(node).replace(/\s*\n\s*/g, ' '))}" /></div>`;
+    case 'select':
+    case 'enum':
+      return `
+        <div class="builder-detail">
+          ${field.options.map((option, index) => `
+            <div class="builder-option">
+              <input type="text" data-role="option" value="${escapeHtml(option)}" />
+              <button type="button" class="btn-icon" data-role="option-remove" data-index="${index}" title="선택지 삭제">✕</button>
+            </div>
+          `).join('')}
+          <button type="button" class="btn-link" data-role="option-add">+ 선택지 추가</button>
+          ${block}
+        </div>
+      `;
+    case 'number':
+    case 'slider': {
+      const [min = '', max = '', step = ''] = field.range;
+      return `
+        <div class="builder-detail builder-range">
+          <input type="text" data-role="range" value="${escapeHtml(min)}" placeholder="최소" />
+          <input type="text" data-role="range" value="${escapeHtml(max)}" placeholder="최대" />
+          <input type="text" data-role="range" value="${escapeHtml(step)}" placeholder="간격" />
+          ${block}
+        </div>
+      `;
+    }
+    case 'array':
+      return `<div class="builder-detail"><input type="text" data-role="target" list="builderSchemaNames" value="${escapeHtml(field.target)}" placeholder="스키마 이름" />${block}</div>`;
+    case 'include':
+      return `<div class="builder-detail"><input type="text" data-role="target" value="${escapeHtml(field.target)}" placeholder="포함할 템플릿의 트리거 또는 ID" /></div>`;
+    case 'boolean':
+      return `<div class="builder-detail">${block}</div>`;
+    default:
+      return `<div class="builder-detail"><input type="text" data-role="label" value="${escapeHtml(field.label)}" placeholder="라벨 / 안내 문구" />${block}</div>`;
+  }
+}
+
+/**
+ * Highlight the fields that validation errors point at ({ path: "scene.mood", message })
+ * A path inside a field the builder doesn't expand (e.g. a JSON value) marks that field
+ */
+export function markBuilderErrors(container, errors) {
+  const fields = [...container.querySelectorAll('[data-key]')];
+  fields.forEach(field => {
+    field.classList.remove('has-error');
+    field.removeAttribute('title');
+  });
+
+  for (const error of errors) {
+    if (!error.path) continue;
+    const field = fields
+      .filter(f => error.path === f.dataset.key || error.path.startsWith(`${f.dataset.key}.`))
+      .sort((a, b) => b.dataset.key.length - a.dataset.key.length)[0];
+    if (field) {
+      field.classList.add('has-error');
+      field.title = field.title ? `${field.title}\n${error.message}` : error.message;
+    }
+  }
+}
+
+/**
+ * Read a field's editor inputs (only its own, not those of nested fields)
+ */
+function readFieldValues(fieldEl) {
+  const inputs = [...fieldEl.querySelectorAll(':scope > .builder-detail [data-role]')];
+  const valueOf = role => inputs.find(input => input.dataset.role === role)?.value ?? '';
+  return {
+    label: valueOf('label').trim(),
+    text: valueOf('text'),
+    target: valueOf('target').trim(),
+    block: valueOf('block').trim(),
+    // "|" separates options in the marker, so it can't be part of one
+    options: inputs.filter(input => input.dataset.role === 'option').map(input => input.value.replace(/\|/g, '').trim()),
+    range: inputs.filter(input => input.dataset.role === 'range').map(input => input.value.trim())
+  };
+}
+
+function markDuplicateKeys(listEl) {
+  const keyInputs = [...listEl.querySelectorAll(':scope > [data-field] > .builder-row > [data-role="key"]')];
+  keyInputs.forEach((input, index) => {
+    const isDuplicate = keyInputs.findIndex(other => other.value === input.value) !== index;
+    input.classList.toggle('invalid', isDuplicate);
+  });
+}
+
+// ===== Paths =====
+
+function resolvePath(root, path) {
+  const indexes = path.split('.').map(Number);
+  const index = indexes.pop();
+  const parent = indexes.length > 0 ? resolveNode(root, indexes.join('.')) : root;
+  return { parent, index };
+}
+
+function resolveNode(root, path) {
+  return path.split('.').map(Number).reduce((node, index) => node.entries[index].node, root);
+}
+
+function uniqueKey(objectNode, base) {
+  let suffix = objectNode.entries.length + 1;
+  while (objectNode.entries.some(e => e.key === `${base}${suffix}`)) {
+    suffix++;
+  }
+  return `${base}${suffix}`;
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  // Values go into double-quoted attributes, and markers often contain quotes
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
@@ -0,0 +1,117 @@
+// PromptCanvas - Template Form
+// Checks and helpers shared by the template editors of the popup and the options page
+
+import { validateTemplate, validateSchemaDefinition, formatValidationErrors } from '../src/background/template-validator.js';
+import { triggersCollide } from '../src/background/site-rules.js';
+import { getOutputFormats } from '../src/ui/output-formats.js';
+
+/**
+ * Validate template text and list its errors and warnings (with line:column) in a status line
+ * Returns the diagnostics; empty text clears the status.
+ */
+export function checkTemplateText(text, status, schemaNames) {
+  return showDiagnostics(text, status, () => validateTemplate(text, { schemaNames }), '✓ 유효한 템플릿');
+}
+
+/**
+ * Same as checkTemplateText, for a global schema definition
+ */
+export function checkSchemaText(text, status, schemaNames) {
+  return showDiagnostics(text, status, () => validateSchemaDefinition(text, { schemaNames }), '✓ 유효한 스키마');
+}
+
+function showDiagnostics(text, status, validate, validMessage) {
+  if (!text.trim()) {
+    status.textContent = '';
+    status.className = 'hint json-status';
+    return [];
+  }
+
+  const diagnostics = validate();
+  const errors = diagnostics.filter(d => d.severity === 'error');
+  const warnings = diagnostics.filter(d => d.severity === 'warning');
+  if (errors.length > 0) {
+    status.textContent = `✗ 오류 ${errors.length}개\n${formatValidationErrors(diagnostics)}`;
+    status.className = 'hint json-status invalid';
+  } else if (warnings.length > 0) {
+    status.textContent = `⚠ 경고 ${warnings.length}개\n${formatValidationErrors(warnings)}`;
+    status.className = 'hint json-status warning';
+  } else {
+    status.textContent = validMessage;
+    status.className = 'hint json-status valid';
+  }
+  return diagnostics;
+}
+
+/**
+ * First reason a template can't be saved: { field: 'name' | 'trigger' | 'json', message }, or null
+ * Warnings (e.g. an unused schema) don't stop the save.
+ */
+export function findTemplateFormError({ id, name, trigger, sites, json }, { templates, settings, diagnostics }) {
+  if (!name) {
+    return { field: 'name', message: '템플릿 이름을 입력하세요.' };
+  }
+  if (!trigger) {
+    return { field: 'trigger', message: '트리거 키워드를 입력하세요.' };
+  }
+  if (settings.triggerPrefix && !trigger.startsWith(settings.triggerPrefix)) {
+    return { field: 'trigger', message: `트리거 키워드는 ${settings.triggerPrefix}로 시작해야 합니다.` };
+  }
+  if (/\s/.test(trigger)) {
+    return { field: 'trigger', message: '트리거 키워드에는 공백을 넣을 수 없습니다.' };
+  }
+  if (!json) {
+    return { field: 'json', message: '템플릿 JSON을 입력하세요.' };
+  }
+
+  const errors = diagnostics.filter(d => d.severity === 'error');
+  if (errors.length > 0) {
+    return { field: 'json', message: `템플릿에 오류가 있어 저장할 수 없습니다.\n\n${formatValidationErrors(errors)}` };
+  }
+
+  // A trigger can be reused on sites that don't overlap, or once site-wide next to site-limited ones
+  const existing = templates.find(t => t.id !== id && triggersCollide(t, { trigger, sites }));
+  if (existing) {
+    return {
+      field: 'trigger',
+      message: `트리거 "${trigger}"는 이미 "${existing.name}"에서 사용 중입니다.\n겹치지 않는 사이트를 지정하면 같은 트리거를 사이트별로 쓸 수 있습니다.`
+    };
+  }
+  return null;
+}
+
+export function describeTriggerSettings(settings) {
+  const keys = (settings.triggerKeys || []).join(', ');
+  const prefix = settings.triggerPrefix ? `${settings.triggerPrefix}로 시작하고, ` : '';
+  return `${prefix}${keys} 키로 트리거됩니다`;
+}
+
+/**
+ * Fill an output format picker with every registered format
+ */
+export function renderOutputFormatOptions(select) {
+  select.innerHTML = '';
+  for (const { name, label } of getOutputFormats()) {
+    select.add(new Option(label, name));
+  }
+}
+
+/**
+ * One site pattern per line, blank lines dropped
+ */
+export function parseSiteList(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Save an export bundle as a dated .json download
+ */
+export function downloadTemplateBundle(bundle) {
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `promptcanvas-templates-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,125 @@
+// PromptCanvas - Template Preview
+// Live preview of the form a template produces and its output, shown beside the editor.
+// Uses the same renderer and styles as the in-page modal, inside a shadow root so the
+// popup's own CSS doesn't restyle it.
+
+import { renderForm, collectFormValues, generateOutput, applyConditions } from '../src/ui/form-renderer.js';
+import { getTemplateSchemas, addArrayItem, deleteArrayItem, moveArrayItem, duplicateArrayItem, updateArrayControls, enableArrayDragging } from '../src/ui/array-items.js';
+import { serializeOutput } from '../src/ui/output-formats.js';
+import styles from '../src/ui/styles.css?inline';
+
+let previewRoot = null;
+let currentTemplate = null;
+
+/**
+ * Show a composed template as a form with its sample output, or the errors that stop it
+ * result is what the background returns for PREVIEW_TEMPLATE: { template } or { errors }
+ */
+export function renderTemplatePreview(container, result) {
+  const root = getPreviewRoot(container);
+
+  if (result.errors) {
+    currentTemplate = null;
+    root.innerHTML = `
+      <div class="promptcanvas-modal promptcanvas-modal-inline">
+        <div class="promptcanvas-body">
+          <ul class="promptcanvas-preview-errors">
+            ${result.errors.map(e => `
+              <li>${e.path ? `<code>${escapeHtml(e.path)}</code> ` : ''}${escapeHtml(e.message)}</li>
+            `).join('')}
+          </ul>
+        </div>
+      </div>
+    `;
+    return;
+  }
+
+  // Keep what was typed into the preview while the template is being edited
+  const form = root.querySelector('.promptcanvas-form');
+  const values = form && currentTemplate ? collectFormValues(form) : {};
+  currentTemplate = result.template;
+
+  root.innerHTML = `
+    <div class="promptcanvas-modal promptcanvas-modal-inline">
+      <div class="promptcanvas-header">
+        <h2 class="promptcanvas-title">${escapeHtml(currentTemplate._meta?.name || 'PromptCanvas')}</h2>
+      </div>
+      <div class="promptcanvas-body">
+        <form class="promptcanvas-form">
+          ${renderForm(currentTemplate, values)}
+        </form>
+        <div class="promptcanvas-preview"></div>
+      </div>
+    </div>
+  `;
+  updateArrayControls(root);
+  refreshOutput(root);
+}
+
+function getPreviewRoot(container) {
+  if (previewRoot && previewRoot.host === container) return previewRoot;
+
+  previewRoot = container.attachShadow({ mode: 'open' });
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(styles);
+  previewRoot.adoptedStyleSheets = [sheet];
+
+  previewRoot.addEventListener('input', () => refreshOutput(previewRoot));
+  previewRoot.addEventListener('change', () => refreshOutput(previewRoot));
+  // Same array controls as the in-page modal
+  previewRoot.addEventListener('click', (e) => {
+    const addBtn = e.target.closest('[data-add-to]');
+    const deleteBtn = e.target.closest('[data-delete-from]');
+    const moveBtn = e.target.closest('[data-move]');
+    const duplicateBtn = e.target.closest('[data-duplicate]');
+    if (addBtn) {
+      addArrayItem(previewRoot, addBtn.dataset.addTo, getTemplateSchemas(currentTemplate));
+    } else if (deleteBtn) {
+      deleteArrayItem(previewRoot, deleteBtn.dataset.deleteFrom, parseInt(deleteBtn.dataset.index, 10));
+    } else if (moveBtn) {
+      moveArrayItem(moveBtn.closest('.promptcanvas-array-item'), moveBtn.dataset.move === 'up' ? -1 : 1);
+    } else if (duplicateBtn) {
+      duplicateArrayItem(duplicateBtn.closest('.promptcanvas-array-item'));
+    } else {
+      return;
+    }
+    updateArrayControls(previewRoot);
+    refreshOutput(previewRoot);
+  });
+  enableArrayDragging(previewRoot, () => {
+    updateArrayControls(previewRoot);
+    refreshOutput(previewRoot);
+  });
+  // Alt+↑/↓ moves the item holding the focus, as the move buttons' titles say
+  previewRoot.addEventListener('keydown', (e) => {
+    const item = e.target.closest('.promptcanvas-array-item');
+    if (!item || !e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    e.preventDefault();
+    moveArrayItem(item, e.key === 'ArrowUp' ? -1 : 1);
+    e.target.focus();
+    updateArrayControls(previewRoot);
+    refreshOutput(previewRoot);
+  });
+  return previewRoot;
+}
+
+/**
+ * Re-evaluate conditions and show the output for the current sample values
+ */
+function refreshOutput(root) {
+  const form = root.querySelector('.promptcanvas-form');
+  const output = root.querySelector('.promptcanvas-preview');
+  if (!form || !currentTemplate) return;
+
+  applyConditions(form);
+  output.textContent = serializeOutput(
+    generateOutput(currentTemplate, collectFormValues(form)),
+    currentTemplate._meta?.outputFormat
+  );
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
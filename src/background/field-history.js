@@ -0,0 +1,65 @@
+// PromptCanvas - Field History
+// Recently submitted values per template, used for autocomplete and "restore last values"
+
+const HISTORY_STORAGE_KEY = 'promptcanvas_history';
+
+async function getAllHistory() {
+  const result = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+  return result[HISTORY_STORAGE_KEY] || {};
+}
+
+/**
+ * History for one template: { lastValues, fields: { "character[].appearance": [recent values] } }
+ */
+export async function getHistory(templateId) {
+  const history = await getAllHistory();
+  return history[templateId] || { lastValues: null, fields: {} };
+}
+
+/**
+ * Record one submission
+ * fields maps an index-free field path to the values submitted for it
+ */
+export async function recordHistory(templateId, values, fields, limit) {
+  const history = await getAllHistory();
+  const entry = history[templateId] || { lastValues: null, fields: {} };
+
+  entry.lastValues = values;
+  entry.updatedAt = Date.now();
+
+  for (const [path, submitted] of Object.entries(fields)) {
+    // Newest first, without duplicates, capped at the configured size
+    const merged = [...submitted, ...(entry.fields[path] || [])];
+    entry.fields[path] = [...new Set(merged)].slice(0, limit);
+  }
+
+  history[templateId] = entry;
+  await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: history });
+}
+
+/**
+ * Clear history for one template, or for all templates when no id is given
+ */
+export async function clearHistory(templateId) {
+  if (!templateId) {
+    await chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+    return;
+  }
+
+  const history = await getAllHistory();
+  delete history[templateId];
+  await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: history });
+}
+
+/**
+ * Trim every field's list after the size limit is lowered
+ */
+export async function trimHistory(limit) {
+  const history = await getAllHistory();
+  for (const entry of Object.values(history)) {
+    for (const path of Object.keys(entry.fields)) {
+      entry.fields[path] = entry.fields[path].slice(0, limit);
+    }
+  }
+  await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: history });
+}
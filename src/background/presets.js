@@ -0,0 +1,70 @@
+// PromptCanvas - Presets
+// Named, saved form values for a template ("흥부 scene, night variant")
+
+const PRESET_STORAGE_KEY = 'promptcanvas_presets';
+
+async function getAllPresets() {
+  const result = await chrome.storage.local.get(PRESET_STORAGE_KEY);
+  return result[PRESET_STORAGE_KEY] || [];
+}
+
+export async function getPresets(templateId) {
+  const presets = await getAllPresets();
+  return presets.filter(p => p.templateId === templateId);
+}
+
+/**
+ * Save a preset; a preset with the same name on the same template is overwritten
+ */
+export async function savePreset(preset) {
+  const presets = await getAllPresets();
+  const now = Date.now();
+
+  const existingIndex = presets.findIndex(p =>
+    p.id === preset.id || (p.templateId === preset.templateId && p.name === preset.name)
+  );
+  const existing = existingIndex >= 0 ? presets[existingIndex] : null;
+
+  const newPreset = {
+    id: existing ? existing.id : generatePresetId(),
+    templateId: preset.templateId,
+    name: preset.name,
+    values: preset.values,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  if (existing) {
+    presets[existingIndex] = newPreset;
+  } else {
+    presets.push(newPreset);
+  }
+
+  await chrome.storage.local.set({ [PRESET_STORAGE_KEY]: presets });
+  return newPreset;
+}
+
+export async function deletePreset(id) {
+  const presets = await getAllPresets();
+  await chrome.storage.local.set({ [PRESET_STORAGE_KEY]: presets.filter(p => p.id !== id) });
+}
+
+export async function deletePresetsForTemplate(templateId) {
+  const presets = await getAllPresets();
+  await chrome.storage.local.set({ [PRESET_STORAGE_KEY]: presets.filter(p => p.templateId !== templateId) });
+}
+
+/**
+ * Find a preset by the suffix typed after a trigger, e.g. "night" in "/s:night"
+ * Matches the name case-insensitively, with spaces in the name written as "-"
+ */
+export function findPresetBySuffix(presets, suffix) {
+  const wanted = suffix.toLowerCase();
+  return presets.find(p => p.name.toLowerCase() === wanted)
+    || presets.find(p => p.name.trim().toLowerCase().replace(/\s+/g, '-') === wanted)
+    || null;
+}
+
+function generatePresetId() {
+  return 'preset_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+}
@@ -0,0 +1,112 @@
+// PromptCanvas - Global Schema Library
+// Schemas shared by every template, referenced with $array:name like local $schemas
+
+const SCHEMA_STORAGE_KEY = 'promptcanvas_schemas';
+
+// ===== Storage Functions =====
+export async function getAllSchemas() {
+  const result = await chrome.storage.local.get(SCHEMA_STORAGE_KEY);
+  return result[SCHEMA_STORAGE_KEY] || [];
+}
+
+/**
+ * Global schemas as a { name: schema } map, ready to merge under a template's $schemas
+ */
+export async function getSchemaMap() {
+  const schemas = await getAllSchemas();
+  const map = {};
+  for (const entry of schemas) {
+    try {
+      map[entry.name] = JSON.parse(entry.schemaJson);
+    } catch (e) {
+      console.warn(`PromptCanvas: Skipping invalid global schema "${entry.name}"`, e);
+    }
+  }
+  return map;
+}
+
+export async function saveSchema(schema) {
+  const schemas = await getAllSchemas();
+  const now = Date.now();
+
+  const newSchema = {
+    name: schema.name,
+    // Store as JSON string to preserve field order, same as templates
+    schemaJson: typeof schema.schema === 'string'
+      ? schema.schema
+      : JSON.stringify(schema.schema, null, 2),
+    createdAt: schema.createdAt || now,
+    updatedAt: now
+  };
+
+  // Renaming replaces the entry under its original name
+  const lookupName = schema.originalName || schema.name;
+  const existingIndex = schemas.findIndex(s => s.name === lookupName);
+  if (existingIndex >= 0) {
+    newSchema.createdAt = schemas[existingIndex].createdAt;
+    schemas[existingIndex] = newSchema;
+  } else {
+    schemas.push(newSchema);
+  }
+
+  await chrome.storage.local.set({ [SCHEMA_STORAGE_KEY]: schemas });
+  return newSchema;
+}
+
+export async function deleteSchema(name) {
+  const schemas = await getAllSchemas();
+  const filtered = schemas.filter(s => s.name !== name);
+  await chrome.storage.local.set({ [SCHEMA_STORAGE_KEY]: filtered });
+}
+
+// ===== Reference Checks =====
+
+/**
+ * Merge global schemas under a template's own (local definitions win)
+ */
+export function withGlobalSchemas(template, globalSchemas) {
+  if (Object.keys(globalSchemas).length === 0) return template;
+  template.$schemas = { ...globalSchemas, ...(template.$schemas || {}) };
+  return template;
+}
+
+/**
+ * List $array:name references whose schema is defined neither in the template nor globally
+ * Returns [{ path, schemaName }]
+ */
+export function findMissingSchemas(template, globalSchemas) {
+  const available = new Set(Object.keys(globalSchemas));
+  for (const [key, value] of Object.entries(template)) {
+    if (key === '$schemas') {
+      Object.keys(value || {}).forEach(name => available.add(name));
+    } else if (key.startsWith('$schemas.')) {
+      available.add(key.replace('$schemas.', ''));
+    }
+  }
+
+  const missing = [];
+  collectArrayReferences(template, '', (path, schemaName) => {
+    if (!available.has(schemaName)) {
+      missing.push({ path, schemaName });
+    }
+  });
+  return missing;
+}
+
+function collectArrayReferences(node, path, visit) {
+  if (typeof node === 'string') {
+    // Strip a trailing {options} block before reading the schema name
+    const arrayMatch = node.match(/^\$array:([^{]+)/);
+    if (arrayMatch) {
+      visit(path, arrayMatch[1].trim());
+    }
+    return;
+  }
+
+  if (typeof node === 'object' && node !== null && !Array.isArray(node)) {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '_meta') continue;
+      collectArrayReferences(value, path ? `${path}.${key}` : key, visit);
+    }
+  }
+}
@@ -1,6 +1,21 @@
 // PromptCanvas - Background Service Worker
 // Handles message passing between content scripts and popup
 
+import { composeTemplate } from './template-composer.js';
+import { getAllSchemas, getSchemaMap, saveSchema, deleteSchema, withGlobalSchemas, findMissingSchemas } from './schema-library.js';
+import { getSettings, saveSettings } from './settings.js';
+import { getHistory, recordHistory, clearHistory, trimHistory } from './field-history.js';
+import { getPresets, savePreset, deletePreset, deletePresetsForTemplate, findPresetBySuffix } from './presets.js';
+import { isSiteEnabled, templateMatchesSite, findTemplateForSite, setSiteEnabled, findBlockingPatterns, triggersCollide } from './site-rules.js';
+import { createBundle, parseBundle, planImport, makeUniqueTrigger } from './template-bundle.js';
+import { validateTemplate, validateSchemaDefinition, formatValidationErrors } from './template-validator.js';
+import { reconcileTemplates, getSyncStatus, clearSyncConflicts, isSyncKey } from './template-sync.js';
+import {
+  getRevisions, getRevision, recordRevision, deleteRevisions, trimRevisions,
+  getTrash, moveToTrash, takeFromTrash, purgeTrash, diffLines
+} from './template-history.js';
+import { getUsage, recordUsage, deleteUsage } from './template-usage.js';
+
 const STORAGE_KEY = 'promptcanvas_templates';
 
 // ===== Storage Functions =====
@@ -9,17 +24,22 @@ async function getAllTemplates() {
   return result[STORAGE_KEY] || [];
 }
 
-async function getTemplateByTrigger(trigger) {
+/**
+ * Look up a trigger as seen from a page; url picks between site-scoped templates
+ */
+async function getTemplateByTrigger(trigger, url) {
   const templates = await getAllTemplates();
-  const found = templates.find(t => t.trigger === trigger);
+  const found = findTemplateForSite(templates, trigger, url);
   if (found && found.templateJson) {
-    // Parse JSON string to object when retrieving
-    const parsed = JSON.parse(found.templateJson);
-    // Add _meta dynamically
+    // Parse JSON string to object, resolve $extends / $include references
+    // and make the global schema library available to $array markers
+    const parsed = withGlobalSchemas(composeTemplate(found, templates, { url }), await getSchemaMap());
+    // Add _meta dynamically (templates saved before outputFormat existed fall back to their own _meta)
     parsed._meta = {
+      id: found.id,
       name: found.name,
       trigger: found.trigger,
-      outputFormat: 'json'
+      outputFormat: found.outputFormat || parsed._meta?.outputFormat || 'json'
     };
     return {
       ...found,
@@ -32,11 +52,18 @@ async function getTemplateByTrigger(trigger) {
 async function saveTemplate(template) {
   const templates = await getAllTemplates();
   const now = Date.now();
+  const id = template.id || generateId();
+  const existing = templates.find(t => t.id === id);
 
   const newTemplate = {
-    id: template.id || generateId(),
+    id,
     name: template.name,
     trigger: template.trigger,
+    outputFormat: template.outputFormat || 'json',
+    // Site patterns this template is limited to; empty means everywhere
+    sites: template.sites || [],
+    // Library folder ('' for none); editors that don't show folders leave it as it was
+    folder: template.folder ?? existing?.folder ?? '',
     // Store as JSON string to preserve key order (formatted with 2-space indent)
     templateJson: typeof template.template === 'string' 
       ? template.template 
@@ -47,6 +74,8 @@ async function saveTemplate(template) {
 
   const existingIndex = templates.findIndex(t => t.id === newTemplate.id);
   if (existingIndex >= 0) {
+    const { revisionLimit } = await getSettings();
+    await recordRevision(templates[existingIndex], newTemplate, revisionLimit);
     templates[existingIndex] = newTemplate;
   } else {
     templates.push(newTemplate);
@@ -56,17 +85,386 @@ async function saveTemplate(template) {
 
   // Notify content scripts of updated triggers
   notifyTriggersUpdated();
+  scheduleSync();
 
   return newTemplate;
 }
 
-async function deleteTemplate(id) {
+/**
+ * Move templates to the trash; their presets, history and revisions stay until the trash is purged
+ */
+async function deleteTemplates(ids) {
   const templates = await getAllTemplates();
-  const filtered = templates.filter(t => t.id !== id);
+  await moveToTrash(templates.filter(t => ids.includes(t.id)));
+  const filtered = templates.filter(t => !ids.includes(t.id));
   await chrome.storage.local.set({ [STORAGE_KEY]: filtered });
 
   // Notify content scripts of updated triggers
   notifyTriggersUpdated();
+  scheduleSync();
+}
+
+/**
+ * Put templates in a library folder ('' takes them out of any folder)
+ */
+async function moveTemplates(ids, folder) {
+  const templates = await getAllTemplates();
+  const now = Date.now();
+  const moved = templates.map(t => (
+    // A new updatedAt lets sync carry the move to other devices
+    ids.includes(t.id) ? { ...t, folder, updatedAt: now } : t
+  ));
+  await chrome.storage.local.set({ [STORAGE_KEY]: moved });
+  scheduleSync();
+}
+
+// ===== Revisions & Trash =====
+
+/**
+ * Save an earlier revision as the current version (the replaced one becomes a revision itself)
+ */
+async function restoreRevision(templateId, revisionId) {
+  const templates = await getAllTemplates();
+  const current = templates.find(t => t.id === templateId);
+  const revision = await getRevision(templateId, revisionId);
+  if (!current || !revision) {
+    return { error: '버전을 찾을 수 없습니다' };
+  }
+
+  if (templates.some(t => t.id !== templateId && triggersCollide(t, revision))) {
+    return { error: `트리거 "${revision.trigger}"를 다른 템플릿이 사용 중입니다` };
+  }
+
+  return await saveTemplate({
+    id: templateId,
+    name: revision.name,
+    trigger: revision.trigger,
+    outputFormat: revision.outputFormat,
+    sites: revision.sites,
+    template: revision.templateJson,
+    createdAt: current.createdAt
+  });
+}
+
+/**
+ * Put a deleted template back; a trigger taken meanwhile gets a "-N" suffix
+ */
+async function restoreFromTrash(id) {
+  const template = await takeFromTrash(id);
+  if (!template) {
+    return { error: '휴지통에 없는 템플릿입니다' };
+  }
+
+  // Synced back from another device while it sat in the trash
+  const templates = await getAllTemplates();
+  if (templates.some(t => t.id === id)) {
+    return templates.find(t => t.id === id);
+  }
+
+  // A fresh updatedAt makes sync treat the restore as newer than the deletion
+  const restored = { ...template, trigger: makeUniqueTrigger(template, templates), updatedAt: Date.now() };
+  templates.push(restored);
+  await chrome.storage.local.set({ [STORAGE_KEY]: templates });
+
+  notifyTriggersUpdated();
+  scheduleSync();
+  return restored;
+}
+
+/**
+ * Permanently delete trashed templates (all when ids is omitted, plus any past retention)
+ */
+async function purgeDeletedTemplates(ids) {
+  const purged = await purgeTrash(ids);
+  for (const id of purged) {
+    await clearHistory(id);
+    await deletePresetsForTemplate(id);
+  }
+  await deleteRevisions(purged);
+  await deleteUsage(purged);
+}
+
+// ===== Sync =====
+let syncQueue = Promise.resolve();
+let syncTimer = null;
+
+/**
+ * Reconcile with chrome.storage.sync shortly, coalescing bursts of saves (e.g. an import)
+ */
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(runSync, 500);
+}
+
+/**
+ * Run one reconcile after any in flight; resolves when it is done
+ */
+function runSync() {
+  clearTimeout(syncTimer);
+  syncQueue = syncQueue.then(syncTemplates).catch(e => {
+    console.warn('PromptCanvas: Sync failed', e);
+  });
+  return syncQueue;
+}
+
+async function syncTemplates() {
+  const settings = await getSettings();
+  if (!settings.syncEnabled) return;
+
+  const { upserts, removals } = await reconcileTemplates(await getAllTemplates());
+  if (upserts.length === 0 && removals.length === 0) return;
+
+  // Apply onto a fresh read so a save made meanwhile isn't lost;
+  // remote edits and deletions stay recoverable like local ones
+  const { revisionLimit } = await getSettings();
+  const current = await getAllTemplates();
+  await moveToTrash(current.filter(t => removals.includes(t.id)));
+  const templates = current.filter(t => !removals.includes(t.id));
+  for (const template of upserts) {
+    const index = templates.findIndex(t => t.id === template.id);
+    if (index >= 0) {
+      await recordRevision(templates[index], template, revisionLimit);
+      templates[index] = template;
+    } else {
+      templates.push(template);
+    }
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY]: templates });
+  notifyTriggersUpdated();
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && Object.keys(changes).some(isSyncKey)) {
+    scheduleSync();
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  scheduleSync();
+  // Drop trash entries past retention
+  purgeDeletedTemplates([]);
+});
+
+/**
+ * Check a template about to be saved for a trigger another template answers on the same sites
+ * Returns an error message, or null when the trigger is free
+ */
+async function checkTriggerConflict(template) {
+  const templates = await getAllTemplates();
+  const conflict = templates.find(t => t.id !== template.id && triggersCollide(t, template));
+  return conflict ? `트리거 "${template.trigger}"를 "${conflict.name}" 템플릿이 같은 사이트에서 사용 중입니다` : null;
+}
+
+/**
+ * Check a template about to be saved for $array references to schemas that don't exist
+ * Returns an error message, or null when every reference resolves
+ */
+async function checkSchemaReferences(template) {
+  const templates = await getAllTemplates();
+  const candidate = {
+    id: template.id || '__unsaved__',
+    name: template.name,
+    trigger: template.trigger,
+    templateJson: typeof template.template === 'string'
+      ? template.template
+      : JSON.stringify(template.template)
+  };
+  // Check against the saved library as it will look after this save
+  const others = templates.filter(t => t.id !== candidate.id);
+  return findReferenceError(candidate, others, await getSchemaMap());
+}
+
+/**
+ * Compose a stored-format candidate against other templates and report broken references
+ */
+function findReferenceError(candidate, others, schemaMap) {
+  let composed;
+  try {
+    composed = composeTemplate(candidate, [...others, candidate]);
+  } catch (e) {
+    return e.message;
+  }
+
+  const missing = findMissingSchemas(composed, schemaMap);
+  if (missing.length === 0) return null;
+
+  const list = missing.map(m => `${m.path}: $array:${m.schemaName}`).join('\n');
+  return `정의되지 않은 스키마를 참조합니다:\n${list}`;
+}
+
+/**
+ * Grammar errors that stop a template from being saved (warnings are left out)
+ */
+async function findTemplateErrors(template) {
+  const schemaNames = Object.keys(await getSchemaMap());
+  return validateTemplate(template.template, { schemaNames })
+    .filter(d => d.severity === 'error');
+}
+
+/**
+ * Templates whose $array references only resolve through the named global schema
+ * Deleting or renaming it would leave their arrays empty.
+ */
+async function findSchemaUsers(name) {
+  const templates = await getAllTemplates();
+  const { [name]: removed, ...remaining } = await getSchemaMap();
+  return templates.filter(t => {
+    try {
+      return findMissingSchemas(composeTemplate(t, templates), remaining).some(m => m.schemaName === name);
+    } catch (e) {
+      // Already broken for another reason; not this schema's concern
+      return false;
+    }
+  });
+}
+
+function describeSchemaUsers(name, users, action) {
+  const list = users.map(t => `${t.name} (${t.trigger})`).join('\n');
+  return `스키마 "${name}"를 참조하는 템플릿이 있어 ${action}할 수 없습니다:\n${list}`;
+}
+
+/**
+ * Check a global schema about to be saved: marker grammar, and no templates left
+ * pointing at its old name when it is renamed. Returns an error message or null.
+ */
+async function checkSchemaSave(schema) {
+  const schemaJson = typeof schema.schema === 'string' ? schema.schema : JSON.stringify(schema.schema);
+  const others = Object.keys(await getSchemaMap()).filter(name => name !== schema.originalName);
+  const schemaNames = [...others, schema.name];
+  const errors = validateSchemaDefinition(schemaJson, { schemaNames })
+    .filter(d => d.severity === 'error');
+  if (errors.length > 0) {
+    return formatValidationErrors(errors);
+  }
+
+  if (schema.originalName && schema.originalName !== schema.name) {
+    const users = await findSchemaUsers(schema.originalName);
+    if (users.length > 0) {
+      return describeSchemaUsers(schema.originalName, users, '이름을 변경');
+    }
+  }
+  return null;
+}
+
+/**
+ * Compose an unsaved template the way its trigger would, for the editor's live preview
+ * Returns { template } or { errors: [{ path, message }] }
+ */
+async function previewTemplate(draft) {
+  const errors = await findTemplateErrors(draft);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const templates = await getAllTemplates();
+  const candidate = {
+    id: draft.id || '__unsaved__',
+    name: draft.name,
+    trigger: draft.trigger,
+    templateJson: draft.template
+  };
+  const others = templates.filter(t => t.id !== candidate.id);
+  const schemaMap = await getSchemaMap();
+
+  let composed;
+  try {
+    composed = composeTemplate(candidate, [...others, candidate]);
+  } catch (e) {
+    return { errors: [{ path: '', message: e.message }] };
+  }
+
+  const missing = findMissingSchemas(composed, schemaMap);
+  if (missing.length > 0) {
+    return {
+      errors: missing.map(m => ({ path: m.path, message: `정의되지 않은 스키마 "${m.schemaName}"를 참조합니다` }))
+    };
+  }
+
+  const template = withGlobalSchemas(composed, schemaMap);
+  template._meta = {
+    name: draft.name,
+    trigger: draft.trigger,
+    outputFormat: draft.outputFormat || template._meta?.outputFormat || 'json'
+  };
+  return { template };
+}
+
+// ===== Import / Export =====
+
+async function exportTemplates(ids) {
+  const templates = await getAllTemplates();
+  const selected = ids ? templates.filter(t => ids.includes(t.id)) : templates;
+  return createBundle(selected, await getAllSchemas());
+}
+
+/**
+ * Import a bundle; resolutions maps item index to 'skip' | 'overwrite' | 'rename'
+ * for items that clash with a stored template (clashing items default to skip)
+ */
+async function importBundle(text, resolutions = {}) {
+  const bundle = parseBundle(text);
+  const library = await getAllSchemas();
+  const plan = planImport(bundle.templates, await getAllTemplates(), importSchemaNames(library, bundle));
+
+  // Schemas first so $array references resolve; a schema that already exists is kept
+  for (const schema of bundle.schemas) {
+    if (!library.some(s => s.name === schema.name)) {
+      await saveSchema({ name: schema.name, schema: schema.schemaJson });
+    }
+  }
+  const schemaMap = await getSchemaMap();
+
+  const result = { imported: 0, skipped: 0, failed: [] };
+  for (const item of plan) {
+    const template = bundle.templates[item.index];
+    const resolution = item.conflict ? (resolutions[item.index] || 'skip') : 'add';
+    // Invalid items are reported with the reason; skipped only counts duplicates left out on purpose
+    if (item.errors.length > 0) {
+      result.failed.push({ name: template.name || `#${item.index + 1}`, error: item.errors.join('\n') });
+      continue;
+    }
+    if (resolution === 'skip') {
+      result.skipped++;
+      continue;
+    }
+
+    // Overwrite keeps the stored id; rename (or an id taken by an earlier item) gets a new one
+    const current = await getAllTemplates();
+    let id;
+    if (resolution === 'overwrite') {
+      id = item.conflict.id;
+    } else if (resolution === 'add' && template.id && !current.some(t => t.id === template.id)) {
+      id = template.id;
+    }
+
+    const others = current.filter(t => t.id !== id);
+    const candidate = { ...template, id: id || '__import__', trigger: makeUniqueTrigger(template, others) };
+    // Other bundle templates may be the target of $include / $extends
+    const lookup = [...others, ...bundle.templates.filter(t => t !== template)];
+    const error = findReferenceError(candidate, lookup, schemaMap);
+    if (error) {
+      result.failed.push({ name: template.name, error });
+      continue;
+    }
+
+    await saveTemplate({
+      id,
+      name: template.name,
+      trigger: candidate.trigger,
+      outputFormat: template.outputFormat,
+      sites: template.sites,
+      folder: template.folder,
+      template: template.templateJson
+    });
+    result.imported++;
+  }
+
+  return result;
+}
+
+// Schemas a bundle's templates can refer to once it is imported
+function importSchemaNames(library, bundle) {
+  return [...library, ...bundle.schemas].map(s => s.name);
 }
 
 function generateId() {
@@ -74,14 +472,33 @@ function generateId() {
 }
 
 async function notifyTriggersUpdated() {
-  const templates = await getAllTemplates();
-  const triggers = templates.map(t => t.trigger);
+  // Every frame asks again with GET_ALL_TRIGGERS: a frame's own URL (not its tab's) decides
+  // which triggers apply, the same as for GET_TEMPLATE_BY_TRIGGER
+  await notifyAllTabs({ type: 'TRIGGERS_UPDATED' });
+}
+
+/**
+ * Trigger list for a page; names let the inline autocomplete match on them too
+ * Empty when the site is disabled, and site-scoped templates only show up on their sites
+ */
+function describeTriggers(templates, settings, url) {
+  if (!isSiteEnabled(url, settings)) return [];
+
+  const triggers = [];
+  for (const t of templates) {
+    // The same trigger may be defined for several sites; list it once
+    if (templateMatchesSite(t, url) && !triggers.some(entry => entry.trigger === t.trigger)) {
+      triggers.push({ trigger: t.trigger, name: t.name });
+    }
+  }
+  return triggers;
+}
 
-  // Send to all tabs
+async function notifyAllTabs(message) {
   const tabs = await chrome.tabs.query({});
   for (const tab of tabs) {
     try {
-      await chrome.tabs.sendMessage(tab.id, { type: 'TRIGGERS_UPDATED', triggers });
+      await chrome.tabs.sendMessage(tab.id, message);
     } catch (e) {
       // Tab might not have content script loaded
     }
@@ -100,18 +517,198 @@ async function handleMessage(message, sender) {
       return await getAllTemplates();
 
     case 'GET_TEMPLATE_BY_TRIGGER':
-      return await getTemplateByTrigger(message.trigger);
+      try {
+        const template = await getTemplateByTrigger(message.trigger, sender.url);
+        if (template) {
+          await recordUsage(template.id);
+        }
+        return template;
+      } catch (e) {
+        // Missing references and cycles are reported to the page instead of failing silently
+        return { error: e.message };
+      }
 
-    case 'SAVE_TEMPLATE':
+    case 'SAVE_TEMPLATE': {
+      // The popup checks too, but anything that stores a template goes through here
+      const errors = await findTemplateErrors(message.template);
+      if (errors.length > 0) {
+        return { error: formatValidationErrors(errors) };
+      }
+      // Report trigger clashes and broken schema references now rather than when the form is rendered
+      const error = await checkTriggerConflict(message.template)
+        || await checkSchemaReferences(message.template);
+      if (error) {
+        return { error };
+      }
       return await saveTemplate(message.template);
+    }
+
+    case 'PREVIEW_TEMPLATE':
+      return await previewTemplate(message.template);
 
     case 'DELETE_TEMPLATE':
-      await deleteTemplate(message.id);
+      await deleteTemplates([message.id]);
+      return { success: true };
+
+    case 'DELETE_TEMPLATES':
+      if (!Array.isArray(message.ids)) {
+        return { success: false, error: '템플릿 ID 목록이 필요합니다' };
+      }
+      await deleteTemplates(message.ids);
+      return { success: true };
+
+    case 'MOVE_TEMPLATES':
+      if (!Array.isArray(message.ids)) {
+        return { success: false, error: '템플릿 ID 목록이 필요합니다' };
+      }
+      // No folder (or an empty one) takes the templates out of their folder
+      await moveTemplates(message.ids, (message.folder || '').trim());
+      return { success: true };
+
+    case 'GET_TEMPLATE_USAGE':
+      return await getUsage();
+
+    case 'GET_REVISIONS':
+      return await getRevisions(message.templateId);
+
+    case 'DIFF_REVISION': {
+      // Compared with the given text (e.g. unsaved editor contents) or the stored version
+      const revision = await getRevision(message.templateId, message.revisionId);
+      if (!revision) {
+        return { error: '버전을 찾을 수 없습니다' };
+      }
+      const current = (await getAllTemplates()).find(t => t.id === message.templateId);
+      return diffLines(revision.templateJson, message.currentJson ?? current?.templateJson ?? '');
+    }
+
+    case 'RESTORE_REVISION':
+      return await restoreRevision(message.templateId, message.revisionId);
+
+    case 'GET_TRASH':
+      await purgeDeletedTemplates([]);
+      return await getTrash();
+
+    case 'RESTORE_TEMPLATE':
+      return await restoreFromTrash(message.id);
+
+    case 'PURGE_TRASH':
+      await purgeDeletedTemplates(message.ids);
+      return { success: true };
+
+    case 'EXPORT_TEMPLATES':
+      return await exportTemplates(message.ids);
+
+    case 'PREVIEW_IMPORT':
+      try {
+        const bundle = parseBundle(message.text);
+        const schemaNames = importSchemaNames(await getAllSchemas(), bundle);
+        return {
+          items: planImport(bundle.templates, await getAllTemplates(), schemaNames),
+          schemaCount: bundle.schemas.length
+        };
+      } catch (e) {
+        return { error: e.message };
+      }
+
+    case 'IMPORT_TEMPLATES':
+      try {
+        return await importBundle(message.text, message.resolutions);
+      } catch (e) {
+        return { error: e.message };
+      }
+
+    case 'GET_ALL_SCHEMAS':
+      return await getAllSchemas();
+
+    case 'SAVE_SCHEMA': {
+      const error = await checkSchemaSave(message.schema);
+      if (error) {
+        return { error };
+      }
+      return await saveSchema(message.schema);
+    }
+
+    case 'DELETE_SCHEMA': {
+      const users = await findSchemaUsers(message.name);
+      if (users.length > 0) {
+        return { success: false, error: describeSchemaUsers(message.name, users, '삭제') };
+      }
+      await deleteSchema(message.name);
+      return { success: true };
+    }
+
+    case 'GET_PRESETS':
+      return await getPresets(message.templateId);
+
+    case 'FIND_PRESET':
+      return findPresetBySuffix(await getPresets(message.templateId), message.suffix);
+
+    case 'SAVE_PRESET':
+      return await savePreset(message.preset);
+
+    case 'DELETE_PRESET':
+      await deletePreset(message.id);
+      return { success: true };
+
+    case 'GET_HISTORY':
+      return await getHistory(message.templateId);
+
+    case 'RECORD_HISTORY': {
+      const { historyLimit } = await getSettings();
+      await recordHistory(message.templateId, message.values, message.fields, historyLimit);
+      return { success: true };
+    }
+
+    case 'CLEAR_HISTORY':
+      await clearHistory(message.templateId);
       return { success: true };
 
+    case 'GET_SETTINGS':
+      return await getSettings();
+
+    case 'SAVE_SETTINGS': {
+      const settings = await saveSettings(message.settings);
+      if ('historyLimit' in message.settings) {
+        await trimHistory(settings.historyLimit);
+      }
+      if ('revisionLimit' in message.settings) {
+        await trimRevisions(settings.revisionLimit);
+      }
+      // Content scripts read trigger keys and matching rules from here
+      notifyAllTabs({ type: 'SETTINGS_UPDATED', settings });
+      if ('blockedSites' in message.settings || 'allowedSites' in message.settings) {
+        notifyTriggersUpdated();
+      }
+      if (message.settings.syncEnabled) {
+        // Turning sync on merges this device's templates with the synced ones
+        await runSync();
+      }
+      return settings;
+    }
+
+    case 'GET_SYNC_STATUS': {
+      const settings = await getSettings();
+      return { ...(await getSyncStatus()), enabled: !!settings.syncEnabled };
+    }
+
+    case 'CLEAR_SYNC_CONFLICTS':
+      await clearSyncConflicts();
+      return { success: true };
+
+    case 'GET_SITE_STATUS':
+      return { enabled: isSiteEnabled(message.url, await getSettings()) };
+
+    case 'SET_SITE_ENABLED': {
+      const changes = setSiteEnabled(message.url, message.enabled, await getSettings());
+      const settings = await saveSettings(changes);
+      notifyTriggersUpdated();
+      // Wildcard entries are left alone; the popup tells the user which ones still apply
+      return { settings, blockedBy: findBlockingPatterns(message.url, settings) };
+    }
+
     case 'GET_ALL_TRIGGERS':
       const templates = await getAllTemplates();
-      return templates.map(t => t.trigger);
+      return describeTriggers(templates, await getSettings(), sender.url);
 
     default:
       console.warn('Unknown message type:', message.type);
@@ -122,21 +719,35 @@ async function handleMessage(message, sender) {
 // ===== Install Event =====
 chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
+    // Add default global schemas, shared by any template listing characters or objects
+    await saveSchema({
+      name: 'characterItem',
+      schema: {
+        "appearance": "$input",
+        "expression": "$input",
+        "action": "$input",
+        "placement": "$select:center|left side|right side|foreground|background"
+      }
+    });
+    await saveSchema({
+      name: 'objectItem',
+      schema: {
+        "name": "$input",
+        "description": "$input",
+        "placement": "$select:center|left side|right side|foreground|background"
+      }
+    });
+
     // Add default templates
+    // Fixed ids let sync merge every device's copy instead of keeping one per install
 
     // Scene template (/s) - 장면
     const sceneTemplate = {
+      id: 'default-scene',
       name: '장면',
       trigger: '/s',
+      outputFormat: 'json',
       template: {
-        "$schemas": {
-          "characterItem": {
-            "appearance": "$input",
-            "expression": "$input",
-            "action": "$input",
-            "placement": "$select:center|left side|right side|foreground|background"
-          }
-        },
         "_meta": {
           "name": "장면",
           "outputFormat": "json",
@@ -168,8 +779,10 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 
     // Reference sheet template (/r) - 레퍼런스 삼면도
     const referenceTemplate = {
+      id: 'default-reference',
       name: '레퍼런스 삼면도',
       trigger: '/r',
+      outputFormat: 'json',
       template: {
         "_meta": {
           "name": "레퍼런스 삼면도",
@@ -184,15 +797,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
           "framing": "full shot, full body visible",
           "layout": "three views arranged horizontally"
         },
-        "quality": {
-          "rendering": "high-detail illustration",
-          "resolution": "4K"
-        },
-        "style": {
-          "art_style": "Korean watercolor illustration, ink wash painting",
-          "mood": "$select:warm and whimsical folk tale|dark and dramatic|peaceful and serene",
-          "texture": "rough hanji paper texture"
-        },
+        // Shared with the scene template, so a style change there applies to both
+        "quality": "$include:default-scene#quality",
+        "style": "$include:default-scene#style",
         "constraints": {
           "text": "no text, no labels, no annotations",
           "consistency": "consistent design across all three views"
@@ -0,0 +1,34 @@
+// PromptCanvas - Settings
+// User preferences shared by the popup, background and content scripts
+
+const SETTINGS_STORAGE_KEY = 'promptcanvas_settings';
+
+export const DEFAULT_SETTINGS = {
+  // Recent values remembered per template field
+  historyLimit: 10,
+  // Earlier versions kept per template
+  revisionLimit: 20,
+  // Keys that activate a trigger typed before the caret: "Space", "Tab", "Enter"
+  // or a chord such as "Ctrl+Space"
+  triggerKeys: ['Space', 'Tab'],
+  // Character new triggers must start with; empty allows any trigger
+  triggerPrefix: '/',
+  // Only fire when the trigger isn't glued to a preceding word ("bus/s")
+  wordBoundary: true,
+  // Site patterns where triggers never fire / the only sites where they do (empty = all)
+  blockedSites: [],
+  allowedSites: [],
+  // Mirror templates to chrome.storage.sync (opt-in; local storage stays the working copy)
+  syncEnabled: false
+};
+
+export async function getSettings() {
+  const result = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
+  return { ...DEFAULT_SETTINGS, ...(result[SETTINGS_STORAGE_KEY] || {}) };
+}
+
+export async function saveSettings(changes) {
+  const settings = { ...(await getSettings()), ...changes };
+  await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: settings });
+  return settings;
+}
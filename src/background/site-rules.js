@@ -0,0 +1,124 @@
+// PromptCanvas - Site Rules
+// Where triggers are active: global allow/block lists and per-template site lists
+//
+// A pattern is either a host ("bank.com", "*.openai.com"), which also covers its
+// subdomains, or a host with a path prefix ("github.com/*/issues"). "*" matches anything.
+
+/**
+ * Whether a page URL matches a site pattern
+ */
+export function matchesSitePattern(url, pattern) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  const rule = pattern.trim().toLowerCase().replace(/^[a-z-]+:\/\//, '');
+  if (!rule) return false;
+
+  const host = parsed.hostname.toLowerCase();
+  if (!rule.includes('/')) {
+    return wildcardToRegExp(rule, true).test(host)
+      || (!rule.includes('*') && host.endsWith(`.${rule}`));
+  }
+
+  return wildcardToRegExp(rule, false).test(host + parsed.pathname.toLowerCase());
+}
+
+function wildcardToRegExp(rule, exact) {
+  const source = rule
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${exact ? '$' : ''}`);
+}
+
+/**
+ * Whether triggers should work at all on this page
+ * A blocklist match always wins; a non-empty allowlist must match
+ */
+export function isSiteEnabled(url, settings) {
+  if (!url) return true;
+
+  const blocked = settings.blockedSites || [];
+  const allowed = settings.allowedSites || [];
+  if (blocked.some(pattern => matchesSitePattern(url, pattern))) return false;
+  if (allowed.length > 0 && !allowed.some(pattern => matchesSitePattern(url, pattern))) return false;
+  return true;
+}
+
+/**
+ * Whether a stored template applies to this page (templates without sites apply everywhere)
+ */
+export function templateMatchesSite(template, url) {
+  const sites = template.sites || [];
+  return !url || sites.length === 0 || sites.some(pattern => matchesSitePattern(url, pattern));
+}
+
+/**
+ * Pick the template a trigger stands for on this page
+ * A template scoped to the site wins over one that applies everywhere
+ */
+export function findTemplateForSite(templates, trigger, url) {
+  const candidates = templates.filter(t => t.trigger === trigger && templateMatchesSite(t, url));
+  return candidates.find(t => (t.sites || []).length > 0) || candidates[0];
+}
+
+/**
+ * Change the global lists so this page becomes enabled or disabled
+ * Enabling only removes blocklist entries for this exact host; broader patterns
+ * ("*.example.com") stay, see findBlockingPatterns. Returns only the changed setting keys
+ */
+export function setSiteEnabled(url, enabled, settings) {
+  const host = new URL(url).hostname;
+  const blocked = settings.blockedSites || [];
+  const allowed = settings.allowedSites || [];
+
+  if (!enabled) {
+    return { blockedSites: [...blocked, host] };
+  }
+
+  const changes = { blockedSites: blocked.filter(pattern => normalizePattern(pattern) !== host.toLowerCase()) };
+  if (allowed.length > 0 && !allowed.some(pattern => matchesSitePattern(url, pattern))) {
+    changes.allowedSites = [...allowed, host];
+  }
+  return changes;
+}
+
+/**
+ * Blocklist patterns that disable this page
+ */
+export function findBlockingPatterns(url, settings) {
+  return (settings.blockedSites || []).filter(pattern => matchesSitePattern(url, pattern));
+}
+
+function normalizePattern(pattern) {
+  return pattern.trim().toLowerCase().replace(/^[a-z-]+:\/\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Whether two site patterns can match the same page
+ * Checked by turning each pattern into a sample URL ("*" becomes a single label)
+ * and matching it against the other, so "*.example.com" overlaps "app.example.com"
+ */
+export function sitePatternsOverlap(a, b) {
+  const sampleUrl = (pattern) => `https://${normalizePattern(pattern).replace(/\*/g, 'x')}`;
+  return matchesSitePattern(sampleUrl(a), b) || matchesSitePattern(sampleUrl(b), a);
+}
+
+/**
+ * Whether two templates would answer the same trigger on some page
+ * Same trigger on disjoint site lists is fine; two site-wide templates are not
+ */
+export function triggersCollide(a, b) {
+  if (a.trigger !== b.trigger) return false;
+
+  const sitesA = a.sites || [];
+  const sitesB = b.sites || [];
+  if (sitesA.length === 0 || sitesB.length === 0) {
+    return sitesA.length === sitesB.length;
+  }
+  return sitesA.some(siteA => sitesB.some(siteB => sitePatternsOverlap(siteA, siteB)));
+}
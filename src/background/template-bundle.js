@@ -0,0 +1,132 @@
+// PromptCanvas - Template Bundles
+// Versioned export files for moving templates between machines and people
+
+import { findMissingSchemas } from './schema-library.js';
+import { triggersCollide } from './site-rules.js';
+import { validateTemplate, formatValidationErrors } from './template-validator.js';
+
+export const BUNDLE_FORMAT = 'promptcanvas-bundle';
+export const BUNDLE_VERSION = 1;
+
+export class BundleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BundleError';
+  }
+}
+
+/**
+ * Build an export bundle from stored templates
+ * Global schemas the templates reference are included so the bundle works on its own
+ */
+export function createBundle(templates, schemaEntries) {
+  const usedSchemas = new Set();
+  for (const template of templates) {
+    try {
+      findMissingSchemas(JSON.parse(template.templateJson), {})
+        .forEach(ref => usedSchemas.add(ref.schemaName));
+    } catch (e) {
+      // Broken JSON is exported as-is; the importer reports it
+    }
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    templates: templates.map(t => ({
+      id: t.id,
+      name: t.name,
+      trigger: t.trigger,
+      outputFormat: t.outputFormat || 'json',
+      sites: t.sites || [],
+      folder: t.folder || '',
+      templateJson: t.templateJson
+    })),
+    schemas: schemaEntries
+      .filter(s => usedSchemas.has(s.name))
+      .map(s => ({ name: s.name, schemaJson: s.schemaJson }))
+  };
+}
+
+/**
+ * Parse and structurally check a bundle file
+ * Returns { templates, schemas }; throws BundleError when the file can't be used at all
+ */
+export function parseBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (e) {
+    throw new BundleError(`JSON 파일이 아닙니다: ${e.message}`);
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.templates)) {
+    throw new BundleError('PromptCanvas 내보내기 파일이 아닙니다');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new BundleError(`더 새로운 버전(${bundle.version})의 파일입니다. 확장 프로그램을 업데이트하세요`);
+  }
+
+  return {
+    templates: bundle.templates.map(t => ({
+      id: typeof t.id === 'string' ? t.id : '',
+      name: typeof t.name === 'string' ? t.name.trim() : '',
+      trigger: typeof t.trigger === 'string' ? t.trigger.trim() : '',
+      outputFormat: typeof t.outputFormat === 'string' ? t.outputFormat : 'json',
+      sites: Array.isArray(t.sites) ? t.sites.filter(site => typeof site === 'string') : [],
+      folder: typeof t.folder === 'string' ? t.folder.trim() : '',
+      templateJson: typeof t.templateJson === 'string' ? t.templateJson : JSON.stringify(t.template ?? null, null, 2)
+    })),
+    schemas: (Array.isArray(bundle.schemas) ? bundle.schemas : [])
+      .filter(s => s && typeof s.name === 'string' && typeof s.schemaJson === 'string')
+  };
+}
+
+/**
+ * Compare bundle templates with the stored ones
+ * Each item gets its validation errors and warnings and, if any, the stored template it
+ * clashes with (same id, or a trigger that would fire on the same sites).
+ * schemaNames are the schemas available after import (library and bundle).
+ */
+export function planImport(bundleTemplates, existing, schemaNames = []) {
+  return bundleTemplates.map((template, index) => {
+    const errors = [];
+    const warnings = [];
+    if (!template.name) errors.push('이름이 없습니다');
+    if (!template.trigger) errors.push('트리거가 없습니다');
+    validateTemplate(template.templateJson, { schemaNames }).forEach(d => {
+      (d.severity === 'error' ? errors : warnings).push(formatValidationErrors([d]));
+    });
+
+    const conflict = existing.find(t => t.id === template.id)
+      || existing.find(t => triggersCollide(t, template))
+      || null;
+
+    return {
+      index,
+      name: template.name,
+      trigger: template.trigger,
+      errors,
+      warnings,
+      conflict: conflict && {
+        type: conflict.id === template.id ? 'id' : 'trigger',
+        id: conflict.id,
+        name: conflict.name,
+        trigger: conflict.trigger
+      }
+    };
+  });
+}
+
+/**
+ * First "trigger-N" that doesn't collide with any of the given templates
+ */
+export function makeUniqueTrigger(template, templates) {
+  let suffix = 2;
+  let trigger = template.trigger;
+  while (templates.some(t => triggersCollide(t, { ...template, trigger }))) {
+    trigger = `${template.trigger}-${suffix++}`;
+  }
+  return trigger;
+}
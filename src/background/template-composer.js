@@ -0,0 +1,159 @@
+// PromptCanvas - Template Composer
+// Resolves $extends and $include references between stored templates
+
+import { findTemplateForSite } from './site-rules.js';
+
+export class TemplateCompositionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateCompositionError';
+  }
+}
+
+/**
+ * Resolve a stored template (with templateJson) into a plain template object
+ *
+ * "$include:ref" or "$include:ref#path" as a value is replaced by the referenced
+ * template (or its subtree at the dot path). "$extends": "ref[#path]" inside an object
+ * uses the referenced template/subtree as a base and overrides it key by key.
+ * ref is another template's id or trigger. Schemas from referenced templates are merged in
+ * so their $array markers keep working.
+ * url is the page the template is expanded for; it picks between templates that share a
+ * trigger on different sites. Without it such a trigger reference is an error.
+ */
+export function composeTemplate(stored, templates, { url } = {}) {
+  return resolveTemplate(stored, { templates, url }, []);
+}
+
+function resolveTemplate(stored, library, stack) {
+  if (stack.includes(stored.id)) {
+    const chain = [...stack, stored.id].map(id => describe(library.templates.find(t => t.id === id)));
+    throw new TemplateCompositionError(`템플릿 순환 참조: ${chain.join(' → ')}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(stored.templateJson);
+  } catch (e) {
+    throw new TemplateCompositionError(`템플릿 ${describe(stored)}의 JSON이 올바르지 않습니다: ${e.message}`);
+  }
+
+  const state = { library, stack: [...stack, stored.id], schemas: {} };
+  const resolved = resolveNode(parsed, state);
+
+  // Local schemas win over ones pulled in from referenced templates
+  if (Object.keys(state.schemas).length > 0) {
+    resolved.$schemas = { ...state.schemas, ...(resolved.$schemas || {}) };
+  }
+
+  return resolved;
+}
+
+function resolveNode(node, state) {
+  if (typeof node === 'string') {
+    const includeMatch = node.match(/^\$include:(.+)$/);
+    return includeMatch ? loadReference(includeMatch[1].trim(), state) : node;
+  }
+
+  if (!isPlainObject(node)) {
+    return node;
+  }
+
+  const resolved = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '$extends') continue;
+    resolved[key] = resolveNode(value, state);
+  }
+
+  if (typeof node.$extends === 'string') {
+    const base = loadReference(node.$extends.trim(), state);
+    if (!isPlainObject(base)) {
+      throw new TemplateCompositionError(`"$extends": "${node.$extends}"는 객체를 가리켜야 합니다`);
+    }
+    return mergeOver(base, resolved);
+  }
+
+  return resolved;
+}
+
+/**
+ * Load "ref" or "ref#dot.path" from another template, fully resolved
+ */
+function loadReference(spec, state) {
+  const [ref, subPath] = spec.split('#');
+  const target = findReference(ref, state.library);
+  if (!target) {
+    throw new TemplateCompositionError(`참조한 템플릿 "${ref}"을(를) 찾을 수 없습니다`);
+  }
+
+  const resolved = resolveTemplate(target, state.library, state.stack);
+  Object.assign(state.schemas, collectSchemas(resolved));
+
+  let subtree = stripReserved(resolved);
+  if (subPath) {
+    for (const part of subPath.split('.')) {
+      if (!isPlainObject(subtree) || !(part in subtree)) {
+        throw new TemplateCompositionError(`템플릿 ${describe(target)}에 "${subPath}" 경로가 없습니다`);
+      }
+      subtree = subtree[part];
+    }
+  }
+
+  // Deep copy so later merges never touch another template's tree
+  return JSON.parse(JSON.stringify(subtree));
+}
+
+/**
+ * Find a referenced template by id, or by trigger the same way the trigger itself resolves
+ */
+function findReference(ref, { templates, url }) {
+  const byId = templates.find(t => t.id === ref);
+  if (byId) return byId;
+
+  const matches = templates.filter(t => t.trigger === ref);
+  if (matches.length <= 1) return matches[0];
+  if (url) return findTemplateForSite(matches, ref, url);
+
+  const ids = matches.map(t => `${t.id} (${t.name})`).join(', ');
+  throw new TemplateCompositionError(`트리거 "${ref}"를 쓰는 템플릿이 여러 개입니다. 템플릿 ID로 참조하세요: ${ids}`);
+}
+
+/**
+ * Deep-merge override onto base: base key order first, new keys appended
+ */
+function mergeOver(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(merged[key]) && isPlainObject(value)
+      ? mergeOver(merged[key], value)
+      : value;
+  }
+  return merged;
+}
+
+function collectSchemas(template) {
+  const schemas = { ...(template.$schemas || {}) };
+  for (const [key, value] of Object.entries(template)) {
+    if (key.startsWith('$schemas.')) {
+      schemas[key.replace('$schemas.', '')] = value;
+    }
+  }
+  return schemas;
+}
+
+function stripReserved(template) {
+  const body = {};
+  for (const [key, value] of Object.entries(template)) {
+    if (key === '_meta' || key === '$schemas' || key.startsWith('$schemas.')) continue;
+    body[key] = value;
+  }
+  return body;
+}
+
+function describe(stored) {
+  return stored ? `"${stored.name}" (${stored.trigger})` : '(알 수 없음)';
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
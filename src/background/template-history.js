@@ -0,0 +1,184 @@
+// PromptCanvas - Template History
+// Earlier revisions of each template and a trash for deleted ones, so a bad edit or
+// an accidental delete can be undone
+
+const REVISION_STORAGE_KEY = 'promptcanvas_revisions';
+const TRASH_STORAGE_KEY = 'promptcanvas_trash';
+
+// Deleted templates are kept this long before they are gone for good
+const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Fields that make up a revision; ids and timestamps are bookkeeping
+const REVISION_FIELDS = ['name', 'trigger', 'outputFormat', 'sites', 'templateJson'];
+
+// ===== Revisions =====
+async function getAllRevisions() {
+  const result = await chrome.storage.local.get(REVISION_STORAGE_KEY);
+  return result[REVISION_STORAGE_KEY] || {};
+}
+
+/**
+ * Revisions of one template, newest first: [{ id, name, trigger, outputFormat, sites, templateJson, savedAt }]
+ */
+export async function getRevisions(templateId) {
+  const revisions = await getAllRevisions();
+  return revisions[templateId] || [];
+}
+
+export async function getRevision(templateId, revisionId) {
+  const revisions = await getRevisions(templateId);
+  return revisions.find(r => r.id === revisionId) || null;
+}
+
+/**
+ * Keep the version a save is about to replace
+ * Nothing is recorded when the content didn't change (e.g. a save without edits)
+ */
+export async function recordRevision(previous, next, limit) {
+  if (!previous || REVISION_FIELDS.every(field => isSameValue(previous[field], next[field]))) {
+    return;
+  }
+
+  const revisions = await getAllRevisions();
+  const revision = { id: `${previous.id}-${previous.updatedAt}`, savedAt: previous.updatedAt };
+  REVISION_FIELDS.forEach(field => {
+    revision[field] = previous[field];
+  });
+
+  const existing = (revisions[previous.id] || []).filter(r => r.id !== revision.id);
+  revisions[previous.id] = [revision, ...existing].slice(0, limit);
+  await chrome.storage.local.set({ [REVISION_STORAGE_KEY]: revisions });
+}
+
+export async function deleteRevisions(templateIds) {
+  if (templateIds.length === 0) return;
+
+  const revisions = await getAllRevisions();
+  templateIds.forEach(id => delete revisions[id]);
+  await chrome.storage.local.set({ [REVISION_STORAGE_KEY]: revisions });
+}
+
+/**
+ * Drop the oldest revisions beyond the configured count
+ */
+export async function trimRevisions(limit) {
+  const revisions = await getAllRevisions();
+  for (const id of Object.keys(revisions)) {
+    revisions[id] = revisions[id].slice(0, limit);
+  }
+  await chrome.storage.local.set({ [REVISION_STORAGE_KEY]: revisions });
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// ===== Trash =====
+async function getAllTrash() {
+  const result = await chrome.storage.local.get(TRASH_STORAGE_KEY);
+  return result[TRASH_STORAGE_KEY] || [];
+}
+
+/**
+ * Deleted templates, most recently deleted first: [{ template, deletedAt }]
+ */
+export async function getTrash() {
+  const trash = await getAllTrash();
+  return trash.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+export async function moveToTrash(templates) {
+  if (templates.length === 0) return;
+
+  const ids = templates.map(t => t.id);
+  const now = Date.now();
+  const trash = (await getAllTrash()).filter(entry => !ids.includes(entry.template.id));
+  templates.forEach(template => trash.push({ template, deletedAt: now }));
+  await chrome.storage.local.set({ [TRASH_STORAGE_KEY]: trash });
+}
+
+/**
+ * Remove a template from the trash and return it (null if it isn't there)
+ */
+export async function takeFromTrash(templateId) {
+  const trash = await getAllTrash();
+  const entry = trash.find(e => e.template.id === templateId);
+  if (!entry) return null;
+
+  await chrome.storage.local.set({ [TRASH_STORAGE_KEY]: trash.filter(e => e !== entry) });
+  return entry.template;
+}
+
+/**
+ * Permanently remove trash entries: the given ids, or everything when ids is omitted,
+ * plus anything past the retention period. Returns the removed template ids so the
+ * caller can drop their presets, history and revisions.
+ */
+export async function purgeTrash(templateIds) {
+  const trash = await getAllTrash();
+  const cutoff = Date.now() - TRASH_RETENTION_MS;
+  const isPurged = entry => !templateIds
+    || templateIds.includes(entry.template.id)
+    || entry.deletedAt < cutoff;
+
+  const purged = trash.filter(isPurged).map(entry => entry.template.id);
+  if (purged.length > 0) {
+    await chrome.storage.local.set({ [TRASH_STORAGE_KEY]: trash.filter(entry => !isPurged(entry)) });
+  }
+  return purged;
+}
+
+// ===== Diff =====
+
+/**
+ * Line diff between two texts: [{ type: 'same' | 'add' | 'remove', text }]
+ * Longest common subsequence over lines, after trimming the shared head and tail
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+
+  let head = 0;
+  while (head < oldLines.length && head < newLines.length && oldLines[head] === newLines[head]) {
+    head++;
+  }
+  let tail = 0;
+  while (
+    tail < oldLines.length - head && tail < newLines.length - head
+    && oldLines[oldLines.length - 1 - tail] === newLines[newLines.length - 1 - tail]
+  ) {
+    tail++;
+  }
+
+  const a = oldLines.slice(head, oldLines.length - tail);
+  const b = newLines.slice(head, newLines.length - tail);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = oldLines.slice(0, head).map(text => ({ type: 'same', text }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      diff.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      diff.push({ type: 'remove', text: a[i] });
+      i++;
+    } else {
+      diff.push({ type: 'add', text: b[j] });
+      j++;
+    }
+  }
+  oldLines.slice(oldLines.length - tail).forEach(text => diff.push({ type: 'same', text }));
+  return diff;
+}
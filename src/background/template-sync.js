@@ -0,0 +1,294 @@
+// PromptCanvas - Template Sync
+// Mirrors templates into chrome.storage.sync so every signed-in browser sees the same library.
+// chrome.storage.local stays the working copy; this module only reconciles it with sync.
+//
+// Sync layout (one key per item keeps each write under the per-item quota):
+//   "t:<id>"      { id, name, trigger, outputFormat, sites, folder, createdAt, updatedAt, chunks, length }
+//   "c:<n>:<id>"  n-th slice of templateJson (the number goes first since ids may contain ":")
+//   "t:<id>"      { id, deleted: true, updatedAt } once a template is deleted, for TOMBSTONE_RETENTION_MS
+
+import { triggersCollide } from './site-rules.js';
+import { makeUniqueTrigger } from './template-bundle.js';
+
+const SYNC_STATUS_KEY = 'promptcanvas_sync_status';
+const KEY_PREFIX = 't:';
+const CHUNK_PREFIX = 'c:';
+
+// Same as the trash: a device offline for longer may bring a deleted template back
+const TOMBSTONE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// chrome.storage.sync allows 8192 bytes per item (key + JSON value); leave room for the key
+const CHUNK_BYTES = 7000;
+
+// ===== Status =====
+
+/**
+ * { synced: { [id]: updatedAt }, conflicts: [{ id, name, trigger, kept, at }], warning, lastSyncedAt }
+ * kept is 'local' or 'remote' for edits on both sides, 'renamed' for a trigger clash
+ * synced holds the version both sides agreed on last time, which tells a local edit from a remote one
+ */
+export async function getSyncStatus() {
+  const result = await chrome.storage.local.get(SYNC_STATUS_KEY);
+  return { synced: {}, conflicts: [], warning: null, lastSyncedAt: null, ...(result[SYNC_STATUS_KEY] || {}) };
+}
+
+async function saveSyncStatus(status) {
+  await chrome.storage.local.set({ [SYNC_STATUS_KEY]: status });
+}
+
+export async function clearSyncConflicts() {
+  const status = await getSyncStatus();
+  status.conflicts = [];
+  await saveSyncStatus(status);
+}
+
+export function isSyncKey(key) {
+  return key.startsWith(KEY_PREFIX) || key.startsWith(CHUNK_PREFIX);
+}
+
+function templateKey(id) {
+  return `${KEY_PREFIX}${id}`;
+}
+
+function chunkKey(id, index) {
+  return `${CHUNK_PREFIX}${index}:${id}`;
+}
+
+// ===== Reconcile =====
+
+/**
+ * Two-way merge of the local templates with chrome.storage.sync, last write wins by updatedAt
+ *
+ * Writes the winning versions to sync and returns what the caller must apply locally:
+ * { upserts: [template], removals: [id] }. When both sides changed since the last agreed
+ * version the newer one is kept and the other is reported in status.conflicts.
+ * The first run on a device (nothing agreed yet) simply merges both libraries.
+ */
+export async function reconcileTemplates(localTemplates) {
+  const status = await getSyncStatus();
+  const remote = await readRemoteTemplates();
+  const local = new Map(localTemplates.map(t => [t.id, t]));
+  const now = Date.now();
+
+  const upserts = [];
+  const removals = [];
+  const pushes = [];
+  const tombstones = [];
+  const expired = [];
+  const agreed = {};
+
+  const addConflict = (template, kept) => {
+    status.conflicts = status.conflicts.filter(c => c.id !== template.id);
+    status.conflicts.push({ id: template.id, name: template.name, trigger: template.trigger, kept, at: now });
+  };
+
+  for (const id of new Set([...local.keys(), ...remote.keys()])) {
+    const mine = local.get(id);
+    const theirs = remote.get(id);
+    const lastAgreed = status.synced[id];
+
+    // Chunks of a remote edit can arrive one by one; wait for the rest
+    if (theirs && theirs.incomplete) {
+      if (lastAgreed !== undefined) agreed[id] = lastAgreed;
+      continue;
+    }
+
+    if (mine && theirs && !theirs.deleted) {
+      if (mine.updatedAt === theirs.updatedAt) {
+        agreed[id] = mine.updatedAt;
+        continue;
+      }
+      const bothChanged = lastAgreed !== undefined && mine.updatedAt !== lastAgreed && theirs.updatedAt !== lastAgreed;
+      if (mine.updatedAt > theirs.updatedAt) {
+        pushes.push(mine);
+        agreed[id] = mine.updatedAt;
+        if (bothChanged) addConflict(mine, 'local');
+      } else {
+        upserts.push(theirs.template);
+        agreed[id] = theirs.updatedAt;
+        if (bothChanged) addConflict(theirs.template, 'remote');
+      }
+    } else if (mine && theirs && theirs.deleted) {
+      if (mine.updatedAt > theirs.updatedAt) {
+        // Edited here after another device deleted it: keep it and bring it back
+        pushes.push(mine);
+        agreed[id] = mine.updatedAt;
+        if (lastAgreed !== undefined) addConflict(mine, 'local');
+      } else {
+        removals.push(id);
+      }
+    } else if (mine) {
+      pushes.push(mine);
+      agreed[id] = mine.updatedAt;
+    } else if (theirs && theirs.deleted) {
+      if (theirs.updatedAt < now - TOMBSTONE_RETENTION_MS) expired.push(id);
+    } else if (theirs) {
+      if (lastAgreed === undefined) {
+        upserts.push(theirs.template);
+        agreed[id] = theirs.updatedAt;
+      } else if (theirs.updatedAt === lastAgreed) {
+        // Deleted here since the last sync
+        tombstones.push(id);
+      } else {
+        // Deleted here but edited elsewhere: the edit wins
+        upserts.push(theirs.template);
+        agreed[id] = theirs.updatedAt;
+        addConflict(theirs.template, 'remote');
+      }
+    }
+  }
+
+  // Templates arriving from sync may answer the same trigger as a local one, e.g. a library
+  // built separately on each device. Keep both and give the incoming one a free trigger
+  const library = [
+    ...localTemplates.filter(t => !removals.includes(t.id) && !upserts.some(u => u.id === t.id)),
+    ...upserts
+  ];
+  upserts.forEach((template, index) => {
+    const others = library.filter(t => t.id !== template.id);
+    if (!others.some(t => triggersCollide(t, template))) return;
+
+    const renamed = { ...template, trigger: makeUniqueTrigger(template, others), updatedAt: now };
+    upserts[index] = renamed;
+    library[library.indexOf(template)] = renamed;
+    pushes.push(renamed);
+    agreed[renamed.id] = now;
+    addConflict(renamed, 'renamed');
+  });
+
+  // Over quota (or rate limited): unsent changes stay local and are retried next time
+  const failures = await writeRemote(pushes, tombstones, remote, now);
+  for (const { id } of failures) {
+    if (status.synced[id] === undefined) {
+      delete agreed[id];
+    } else {
+      agreed[id] = status.synced[id];
+    }
+  }
+  status.synced = agreed;
+  status.warning = failures.length > 0
+    ? `동기화 저장 공간이 부족해 템플릿 ${failures.length}개를 이 기기에만 저장했습니다: ${failures.map(f => f.name).join(', ')} (${failures[0].error})`
+    : null;
+
+  if (expired.length > 0) {
+    await chrome.storage.sync.remove(expired.map(templateKey)).catch(e => {
+      console.warn('PromptCanvas: Failed to prune sync tombstones', e);
+    });
+  }
+
+  status.lastSyncedAt = now;
+  await saveSyncStatus(status);
+  return { upserts, removals };
+}
+
+// ===== Sync Storage =====
+
+/**
+ * Read every template from sync as Map(id -> { updatedAt, deleted?, incomplete?, template? })
+ */
+async function readRemoteTemplates() {
+  const items = await chrome.storage.sync.get(null);
+  const remote = new Map();
+
+  for (const [key, value] of Object.entries(items)) {
+    if (!key.startsWith(KEY_PREFIX) || typeof value !== 'object' || value === null) continue;
+
+    if (value.deleted) {
+      remote.set(value.id, { updatedAt: value.updatedAt, deleted: true, chunkKeys: [] });
+      continue;
+    }
+
+    const chunkKeys = Array.from({ length: value.chunks }, (_, i) => chunkKey(value.id, i));
+    const chunks = chunkKeys.map(chunkKey => items[chunkKey]);
+    const templateJson = chunks.every(chunk => typeof chunk === 'string') ? chunks.join('') : null;
+
+    if (templateJson === null || templateJson.length !== value.length) {
+      remote.set(value.id, { updatedAt: value.updatedAt, incomplete: true, chunkKeys });
+      continue;
+    }
+
+    remote.set(value.id, {
+      updatedAt: value.updatedAt,
+      chunkKeys,
+      template: {
+        id: value.id,
+        name: value.name,
+        trigger: value.trigger,
+        outputFormat: value.outputFormat,
+        sites: value.sites || [],
+        folder: value.folder || '',
+        templateJson,
+        createdAt: value.createdAt,
+        updatedAt: value.updatedAt
+      }
+    });
+  }
+
+  return remote;
+}
+
+/**
+ * Write each template (with its chunks) and each tombstone in its own set() call,
+ * so one item over quota doesn't hold back the rest
+ * Returns the items that failed: [{ id, name, error }]
+ */
+async function writeRemote(pushes, tombstones, remote, now) {
+  const writes = [
+    ...pushes.map(template => {
+      const chunks = splitIntoChunks(template.templateJson || '', CHUNK_BYTES);
+      const { templateJson, ...meta } = template;
+      const items = { [templateKey(template.id)]: { ...meta, chunks: chunks.length, length: (templateJson || '').length } };
+      chunks.forEach((chunk, i) => {
+        items[chunkKey(template.id, i)] = chunk;
+      });
+      // A shorter template leaves old trailing chunks behind
+      const staleKeys = (remote.get(template.id)?.chunkKeys || []).slice(chunks.length);
+      return { id: template.id, name: template.name, items, staleKeys };
+    }),
+    ...tombstones.map(id => ({
+      id,
+      name: remote.get(id)?.template?.name || id,
+      items: { [templateKey(id)]: { id, deleted: true, updatedAt: now } },
+      staleKeys: remote.get(id)?.chunkKeys || []
+    }))
+  ];
+
+  const failures = [];
+  for (const { id, name, items, staleKeys } of writes) {
+    try {
+      await chrome.storage.sync.set(items);
+      if (staleKeys.length > 0) {
+        await chrome.storage.sync.remove(staleKeys);
+      }
+    } catch (e) {
+      console.warn(`PromptCanvas: Sync write failed for "${name}", keeping it local`, e);
+      failures.push({ id, name, error: e.message });
+    }
+  }
+  return failures;
+}
+
+/**
+ * Split text so each slice, stored as a JSON string, stays under maxBytes of UTF-8
+ */
+function splitIntoChunks(text, maxBytes) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 2; // surrounding quotes
+
+  for (const char of text) {
+    const bytes = new TextEncoder().encode(JSON.stringify(char)).length - 2;
+    if (currentBytes + bytes > maxBytes) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 2;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+
+  if (current || chunks.length === 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
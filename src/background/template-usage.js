@@ -0,0 +1,26 @@
+// PromptCanvas - Template Usage
+// When each template was last opened from a trigger, for sorting the library by recent use
+
+const USAGE_STORAGE_KEY = 'promptcanvas_usage';
+
+/**
+ * Last use per template: { [templateId]: timestamp }
+ */
+export async function getUsage() {
+  const result = await chrome.storage.local.get(USAGE_STORAGE_KEY);
+  return result[USAGE_STORAGE_KEY] || {};
+}
+
+export async function recordUsage(templateId) {
+  const usage = await getUsage();
+  usage[templateId] = Date.now();
+  await chrome.storage.local.set({ [USAGE_STORAGE_KEY]: usage });
+}
+
+export async function deleteUsage(templateIds) {
+  if (templateIds.length === 0) return;
+
+  const usage = await getUsage();
+  templateIds.forEach(id => delete usage[id]);
+  await chrome.storage.local.set({ [USAGE_STORAGE_KEY]: usage });
+}
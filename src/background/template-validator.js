@@ -0,0 +1,332 @@
+// PromptCanvas - Template Validator
+// Checks a template against the marker grammar before it is stored.
+// Shared by the popup editor (while typing), the background (on save) and imports.
+
+const MARKER_TYPES = ['input', 'textarea', 'boolean', 'number', 'slider', 'select', 'enum', 'array', 'include'];
+
+/**
+ * Validate a template given as a JSON string or an object
+ * Returns diagnostics [{ severity: 'error' | 'warning', path, message, line?, column? }],
+ * empty when the template is clean. Line and column (1-based) are only known for strings.
+ * schemaNames lists the global schemas "$array" markers may refer to.
+ */
+export function validateTemplate(template, { schemaNames = [] } = {}) {
+  return runValidation(template, (parsed, ctx) => {
+    if (!isPlainObject(parsed)) return '템플릿은 JSON 객체여야 합니다';
+    validateObject(parsed, '', ctx);
+    checkSchemaReferences(parsed, schemaNames, ctx);
+    return null;
+  });
+}
+
+/**
+ * Validate a global schema (a marker string or an object of fields), same diagnostics as templates
+ * Its "$array" markers may refer to the schemas in schemaNames, itself included.
+ */
+export function validateSchemaDefinition(schema, { schemaNames = [] } = {}) {
+  return runValidation(schema, (parsed, ctx) => {
+    if (typeof parsed !== 'string' && !isPlainObject(parsed)) return '스키마는 마커 문자열이나 객체여야 합니다';
+    validateValue(parsed, '', ctx);
+    checkSchemaReferences({}, schemaNames, ctx);
+    return null;
+  });
+}
+
+/**
+ * Parse (for strings), run a check and attach line/column to its diagnostics
+ * check(parsed, ctx) returns an error message when the root itself has the wrong shape
+ */
+function runValidation(input, check) {
+  let parsed = input;
+  let positions = null;
+  if (typeof input === 'string') {
+    try {
+      parsed = JSON.parse(input);
+    } catch (e) {
+      return [{ ...error('', `JSON 형식이 올바르지 않습니다: ${e.message}`), ...syntaxErrorPosition(input, e) }];
+    }
+    positions = locatePaths(input);
+  }
+
+  const ctx = { diagnostics: [], references: [], composes: false };
+  const rootError = check(parsed, ctx);
+  if (rootError) {
+    return [{ ...error('', rootError), ...(positions ? { line: 1, column: 1 } : {}) }];
+  }
+
+  if (!positions) return ctx.diagnostics;
+  return ctx.diagnostics
+    .map(d => ({ ...d, ...positionOf(positions, d.path) }))
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+function error(path, message) {
+  return { severity: 'error', path, message };
+}
+
+function warning(path, message) {
+  return { severity: 'warning', path, message };
+}
+
+// ===== Grammar =====
+
+function validateObject(node, path, ctx) {
+  for (const [key, value] of Object.entries(node)) {
+    const childPath = path ? `${path}.${key}` : key;
+
+    if (key === '_meta') {
+      if (path || !isPlainObject(value)) {
+        ctx.diagnostics.push(error(childPath, '"_meta"는 최상위의 객체여야 합니다'));
+      }
+    } else if (key === '$schemas' || key.startsWith('$schemas.')) {
+      if (path) {
+        // The form and the output only read schemas from the top level
+        ctx.diagnostics.push(error(childPath, `"${key}"는 최상위에만 둘 수 있습니다`));
+      } else if (key !== '$schemas') {
+        validateSchema(value, childPath, ctx);
+      } else if (!isPlainObject(value)) {
+        ctx.diagnostics.push(error(childPath, '"$schemas"는 { 이름: 스키마 } 객체여야 합니다'));
+      } else {
+        Object.entries(value).forEach(([name, schema]) => validateSchema(schema, `${childPath}.${name}`, ctx));
+      }
+    } else if (key === '$when' || key === '$if' || key === '$extends') {
+      if (typeof value !== 'string') {
+        ctx.diagnostics.push(error(childPath, `"${key}" 값은 문자열이어야 합니다`));
+      }
+      if (key === '$extends') ctx.composes = true;
+    } else if (key.startsWith('$')) {
+      ctx.diagnostics.push(error(childPath, `알 수 없는 예약 키 "${key}"`));
+    } else {
+      validateValue(value, childPath, ctx);
+    }
+  }
+}
+
+function validateValue(value, path, ctx) {
+  if (typeof value === 'string') {
+    const message = checkMarker(value);
+    if (message) {
+      ctx.diagnostics.push(error(path, message));
+      return;
+    }
+
+    const arrayMatch = value.match(/^\$array:([^{]+)/);
+    if (arrayMatch) {
+      ctx.references.push({ path, schemaName: arrayMatch[1].trim() });
+    } else if (value.startsWith('$include:')) {
+      ctx.composes = true;
+    }
+  } else if (isPlainObject(value)) {
+    validateObject(value, path, ctx);
+  }
+  // Numbers, booleans, null and arrays are static values
+}
+
+function validateSchema(schema, path, ctx) {
+  // An array item schema is a single marker or an object of fields
+  if (typeof schema === 'string' || isPlainObject(schema)) {
+    validateValue(schema, path, ctx);
+  } else {
+    ctx.diagnostics.push(error(path, '스키마는 마커 문자열이나 객체여야 합니다'));
+  }
+}
+
+/**
+ * Check a "$..." string against the marker grammar
+ * Returns an error message, or null for valid markers and plain text ("$5 budget", "$usd").
+ * Unknown words only count as markers when they are a likely typo of one ("$selct", "$Input").
+ */
+export function checkMarker(value) {
+  const match = value.match(/^\$([a-z]+)(.*)$/is);
+  if (!match) return null;
+
+  const [, word, rest] = match;
+  const type = word.toLowerCase();
+  if (!MARKER_TYPES.includes(type)) {
+    const suggestion = MARKER_TYPES.find(known => isOneEditAway(type, known));
+    return suggestion ? `알 수 없는 마커 "$${word}" ("$${suggestion}"의 오타인가요?)` : null;
+  }
+  if (word !== type) {
+    return `마커는 소문자로 써야 합니다 ("$${word}" → "$${type}")`;
+  }
+
+  // Split off a trailing {options} block
+  let argument = rest;
+  const braceIndex = rest.indexOf('{');
+  if (braceIndex >= 0 && type !== 'include') {
+    if (!rest.endsWith('}')) {
+      return `"$${type}"의 옵션 블록은 "}"로 끝나야 합니다`;
+    }
+    argument = rest.slice(0, braceIndex);
+  }
+
+  if (argument && !argument.startsWith(':')) {
+    return `"$${type}" 뒤에는 ":" 또는 "{...}"가 와야 합니다`;
+  }
+
+  const spec = argument.slice(1).trim();
+  switch (type) {
+    case 'boolean':
+      return argument ? '"$boolean"은 인자를 받지 않습니다' : null;
+    case 'select':
+    case 'enum':
+      if (!spec) return `"$${type}"에는 "a|b" 형식의 선택지가 필요합니다`;
+      return spec.split('|').some(option => !option.trim()) ? `"$${type}"에 빈 선택지가 있습니다` : null;
+    case 'array':
+      return spec ? null : '"$array"에는 스키마 이름이 필요합니다';
+    case 'include':
+      return spec ? null : '"$include"에는 템플릿 트리거 또는 ID가 필요합니다';
+    case 'number':
+    case 'slider': {
+      const invalid = spec.split('|').some(part => part.trim() !== '' && !Number.isFinite(Number(part)));
+      return invalid ? `"$${type}:${spec}"의 범위는 min|max|step 숫자여야 합니다` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Typos like "$selct" or "$inptu": one insertion, deletion, substitution or swap
+function isOneEditAway(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  while (i < a.length && a[i] === b[i]) i++;
+  if (a.length === b.length) {
+    return a.slice(i + 1) === b.slice(i + 1)
+      || (a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2));
+  }
+  return a.length > b.length ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+}
+
+// ===== Schema References =====
+
+/**
+ * "$array" markers must name a schema defined in the template or globally,
+ * and schemas the template defines should be used somewhere
+ */
+function checkSchemaReferences(template, schemaNames, ctx) {
+  const localSchemas = new Map();
+  for (const [key, value] of Object.entries(template)) {
+    if (key === '$schemas' && isPlainObject(value)) {
+      Object.keys(value).forEach(name => localSchemas.set(name, `$schemas.${name}`));
+    } else if (key.startsWith('$schemas.')) {
+      localSchemas.set(key.replace('$schemas.', ''), key);
+    }
+  }
+
+  for (const { path, schemaName } of ctx.references) {
+    if (localSchemas.has(schemaName) || schemaNames.includes(schemaName)) continue;
+    // Schemas can also come from templates pulled in with $extends / $include
+    const report = ctx.composes ? warning : error;
+    ctx.diagnostics.push(report(path, `정의되지 않은 스키마 "${schemaName}"를 참조합니다`));
+  }
+
+  const used = new Set(ctx.references.map(r => r.schemaName));
+  for (const [name, path] of localSchemas) {
+    if (!used.has(name)) {
+      ctx.diagnostics.push(warning(path, `스키마 "${name}"를 사용하는 $array가 없습니다`));
+    }
+  }
+}
+
+// ===== Positions =====
+
+/**
+ * Map each path in valid JSON text to the offset where it starts: the key for object
+ * members, the value for array items ("list[0].name")
+ */
+function locatePaths(text) {
+  const offsets = new Map([['', 0]]);
+  let index = 0;
+
+  const skipWhitespace = () => {
+    while (/\s/.test(text[index] || '')) index++;
+  };
+  const readString = () => {
+    const start = index++;
+    while (text[index] !== '"') {
+      index += text[index] === '\\' ? 2 : 1;
+    }
+    index++;
+    return JSON.parse(text.slice(start, index));
+  };
+  const readValue = (path) => {
+    skipWhitespace();
+    const char = text[index];
+    if (char === '{' || char === '[') {
+      const close = char === '{' ? '}' : ']';
+      index++;
+      skipWhitespace();
+      if (text[index] === close) {
+        index++;
+        return;
+      }
+      for (let item = 0; ; item++) {
+        skipWhitespace();
+        if (char === '{') {
+          const keyOffset = index;
+          const key = readString();
+          const childPath = path ? `${path}.${key}` : key;
+          if (!offsets.has(childPath)) offsets.set(childPath, keyOffset);
+          skipWhitespace();
+          index++; // ':'
+          readValue(childPath);
+        } else {
+          const itemPath = `${path}[${item}]`;
+          offsets.set(itemPath, index);
+          readValue(itemPath);
+        }
+        skipWhitespace();
+        if (text[index++] === close) return;
+      }
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (index < text.length && !/[\s,\]}]/.test(text[index])) index++;
+    }
+  };
+
+  readValue('');
+  return { text, offsets };
+}
+
+/**
+ * Line and column of a path, or of its closest located ancestor
+ */
+function positionOf({ text, offsets }, path) {
+  let current = path;
+  while (!offsets.has(current)) {
+    // Drop the last "[index]" or ".key"
+    const item = current.match(/\[\d+\]$/);
+    current = item ? current.slice(0, item.index) : current.slice(0, Math.max(current.lastIndexOf('.'), 0));
+  }
+  return offsetToPosition(text, offsets.get(current));
+}
+
+function syntaxErrorPosition(text, e) {
+  const lineMatch = e.message.match(/line (\d+) column (\d+)/);
+  if (lineMatch) {
+    return { line: Number(lineMatch[1]), column: Number(lineMatch[2]) };
+  }
+  const positionMatch = e.message.match(/position (\d+)/);
+  return positionMatch ? offsetToPosition(text, Number(positionMatch[1])) : {};
+}
+
+function offsetToPosition(text, offset) {
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Format diagnostics as one line per problem: "3:5 scene.mood: message"
+ */
+export function formatValidationErrors(diagnostics) {
+  return diagnostics.map(d => {
+    const location = d.line ? `${d.line}:${d.column} ` : '';
+    return `${location}${d.path ? `${d.path}: ` : ''}${d.message}`;
+  }).join('\n');
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
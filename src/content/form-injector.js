@@ -1,30 +1,40 @@
 // PromptCanvas - Form Injector
 // Injects the modal form UI into web pages
 
-import { renderForm, renderArrayItem, collectFormValues, generateOutput, parseMarker } from '../ui/form-renderer.js';
+import { renderForm, collectFormValues, generateOutput, parseMarker, findMissingRequiredFields, applyConditions, collectFieldHistory, applyFieldSuggestions } from '../ui/form-renderer.js';
+import { serializeOutput } from '../ui/output-formats.js';
+import { getTemplateSchemas, addArrayItem, deleteArrayItem, moveArrayItem, duplicateArrayItem, updateArrayControls, enableArrayDragging } from '../ui/array-items.js';
+import { replaceTriggerText } from './text-insertion.js';
+import { getUiRoot } from './ui-root.js';
 
 let currentOverlay = null;
 let currentTemplate = null;
 let currentTargetElement = null;
-let currentTriggerText = '';
+let currentTriggerRange = null;
+let currentOptions = {};
 
 /**
  * Show the form modal for a template
+ * options.history: { lastValues, fields } from previous insertions of this template
+ * options.onInsert(values, fields): called with the submitted values before inserting
+ * options.presets: saved presets for this template, offered in a header dropdown
+ * options.onSavePreset(name, values) / options.onDeletePreset(id): persist preset changes
  */
-export function showFormModal(template, targetElement, triggerText) {
+export function showFormModal(template, targetElement, triggerRange, options = {}) {
   // Remove any existing modal
   hideFormModal();
 
   currentTemplate = template;
   currentTargetElement = targetElement;
-  currentTriggerText = triggerText;
+  currentTriggerRange = triggerRange;
+  currentOptions = options;
 
   // Create overlay
   const overlay = document.createElement('div');
   overlay.className = 'promptcanvas-overlay';
-  overlay.innerHTML = createModalHTML(template);
+  overlay.innerHTML = createModalHTML(template, options);
 
-  document.body.appendChild(overlay);
+  getUiRoot().appendChild(overlay);
   currentOverlay = overlay;
 
   // Trigger animation
@@ -34,44 +44,128 @@ export function showFormModal(template, targetElement, triggerText) {
 
   // Setup event listeners
   setupEventListeners(overlay, template);
+  prepareForm(overlay);
 
   // Focus first input
-  const firstInput = overlay.querySelector('.promptcanvas-input, .promptcanvas-select');
+  const firstInput = overlay.querySelector('.promptcanvas-input, .promptcanvas-select, .promptcanvas-textarea');
   if (firstInput) {
     setTimeout(() => firstInput.focus(), 100);
   }
 }
 
+/**
+ * Show an error in place of the form (e.g. a template that can't be resolved)
+ */
+export function showErrorModal(message) {
+  hideFormModal();
+
+  const overlay = document.createElement('div');
+  overlay.className = 'promptcanvas-overlay';
+  overlay.innerHTML = `
+    <div class="promptcanvas-modal">
+      <div class="promptcanvas-header">
+        <h2 class="promptcanvas-title">PromptCanvas</h2>
+        <button type="button" class="promptcanvas-close" data-action="close">✕</button>
+      </div>
+      <div class="promptcanvas-body">
+        <div class="promptcanvas-error">${escapeHtml(message)}</div>
+      </div>
+      <div class="promptcanvas-footer">
+        <button type="button" class="promptcanvas-btn promptcanvas-btn-primary" data-action="close">확인</button>
+      </div>
+    </div>
+  `;
+
+  getUiRoot().appendChild(overlay);
+  currentOverlay = overlay;
+
+  requestAnimationFrame(() => {
+    overlay.classList.add('visible');
+  });
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay || e.target.dataset.action === 'close') {
+      hideFormModal();
+    }
+  });
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' || e.key === 'Enter') {
+      hideFormModal();
+    } else if (e.key === 'Tab') {
+      trapFocus(overlay, e);
+    }
+  });
+
+  setTimeout(() => overlay.querySelector('[data-action="close"]').focus(), 100);
+}
+
 /**
  * Hide the form modal
  */
 export function hideFormModal() {
   if (currentOverlay) {
-    currentOverlay.classList.remove('visible');
+    // Detach from module state right away so a modal opened meanwhile isn't removed
+    const overlay = currentOverlay;
+    currentOverlay = null;
+    currentTemplate = null;
+
+    overlay.classList.remove('visible');
     setTimeout(() => {
-      if (currentOverlay && currentOverlay.parentNode) {
-        currentOverlay.parentNode.removeChild(currentOverlay);
+      if (overlay.parentNode) {
+        overlay.parentNode.removeChild(overlay);
       }
-      currentOverlay = null;
-      currentTemplate = null;
     }, 150);
   }
 }
 
+/**
+ * Bring a freshly rendered form up to date: conditions, array buttons and suggestions
+ */
+function prepareForm(overlay) {
+  applyConditions(overlay);
+  updateArrayControls(overlay);
+  applyFieldSuggestions(overlay, currentOptions.history?.fields);
+}
+
 /**
  * Create the modal HTML structure
  */
-function createModalHTML(template) {
+function createModalHTML(template, options) {
   const meta = template._meta || {};
   const title = meta.name || 'PromptCanvas';
 
   const formHtml = renderForm(template, {});
+  const restoreButton = options.history?.lastValues
+    ? '<button type="button" class="promptcanvas-header-btn" data-action="restore" title="마지막 입력값 불러오기">↺ 마지막 값</button>'
+    : '';
+  const presets = options.presets || [];
+  const presetPicker = options.onSavePreset
+    ? `
+      <select class="promptcanvas-preset-select" title="프리셋 불러오기"${presets.length === 0 ? ' hidden' : ''}>
+        ${renderPresetOptions(presets)}
+      </select>
+      <button type="button" class="promptcanvas-header-btn" data-action="delete-preset" title="선택한 프리셋 삭제" hidden>🗑</button>
+    `
+    : '';
+  const presetSaver = options.onSavePreset
+    ? `
+      <div class="promptcanvas-preset-bar" hidden>
+        <input type="text" class="promptcanvas-preset-name" placeholder="프리셋 이름 (예: night)">
+        <button type="button" class="promptcanvas-btn promptcanvas-btn-primary" data-action="confirm-preset">저장</button>
+      </div>
+      <div class="promptcanvas-error promptcanvas-preset-error" hidden></div>
+    `
+    : '';
 
   return `
     <div class="promptcanvas-modal">
       <div class="promptcanvas-header">
         <h2 class="promptcanvas-title">${escapeHtml(title)}</h2>
-        <button type="button" class="promptcanvas-close" data-action="close">✕</button>
+        <div class="promptcanvas-header-actions">
+          ${presetPicker}
+          ${restoreButton}
+          <button type="button" class="promptcanvas-close" data-action="close">✕</button>
+        </div>
       </div>
       <div class="promptcanvas-body">
         <form class="promptcanvas-form">
@@ -79,8 +173,10 @@ function createModalHTML(template) {
         </form>
         <div class="promptcanvas-preview" style="display: none;"></div>
       </div>
+      ${presetSaver}
       <div class="promptcanvas-footer">
         <button type="button" class="promptcanvas-btn promptcanvas-btn-preview" data-action="preview">미리보기</button>
+        ${options.onSavePreset ? '<button type="button" class="promptcanvas-btn promptcanvas-btn-secondary" data-action="save-preset">프리셋 저장</button>' : ''}
         <button type="button" class="promptcanvas-btn promptcanvas-btn-secondary" data-action="close">취소</button>
         <button type="button" class="promptcanvas-btn promptcanvas-btn-primary" data-action="insert">삽입</button>
       </div>
@@ -88,19 +184,31 @@ function createModalHTML(template) {
   `;
 }
 
+function renderPresetOptions(presets, selectedId = '') {
+  return `<option value="">프리셋 선택...</option>` + presets.map(p =>
+    `<option value="${escapeHtml(p.id)}"${p.id === selectedId ? ' selected' : ''}>${escapeHtml(p.name)}</option>`
+  ).join('');
+}
+
 /**
  * Setup event listeners for the modal
  */
 function setupEventListeners(overlay, template) {
-  const schemas = template.$schemas || {};
-
-  // Also get dot notation schemas
-  for (const [key, value] of Object.entries(template)) {
-    if (key.startsWith('$schemas.')) {
-      const schemaName = key.replace('$schemas.', '');
-      schemas[schemaName] = value;
-    }
-  }
+  const schemas = getTemplateSchemas(template);
+
+  // Re-evaluate conditional fields and keep the open preview live,
+  // including {{path}} references to other fields
+  const refresh = () => {
+    applyConditions(overlay);
+    updatePreview(overlay, template);
+  };
+
+  // After items are added, removed or moved, button states change too
+  const refreshArrays = () => {
+    updateArrayControls(overlay);
+    applyFieldSuggestions(overlay, currentOptions.history?.fields);
+    refresh();
+  };
 
   // Close button and backdrop click
   overlay.addEventListener('click', (e) => {
@@ -117,6 +225,22 @@ function setupEventListeners(overlay, template) {
       insertGeneratedOutput();
     } else if (action === 'preview') {
       togglePreview(overlay, template);
+    } else if (action === 'restore') {
+      refillForm(overlay, template, currentOptions.history?.lastValues || {});
+      refresh();
+    } else if (action === 'save-preset') {
+      const bar = overlay.querySelector('.promptcanvas-preset-bar');
+      bar.hidden = !bar.hidden;
+      if (!bar.hidden) {
+        const nameInput = bar.querySelector('.promptcanvas-preset-name');
+        const selected = findSelectedPreset(overlay);
+        nameInput.value = selected ? selected.name : '';
+        nameInput.focus();
+      }
+    } else if (action === 'confirm-preset') {
+      savePresetFromForm(overlay);
+    } else if (action === 'delete-preset') {
+      deleteSelectedPreset(overlay);
     }
   });
 
@@ -125,6 +249,7 @@ function setupEventListeners(overlay, template) {
     const addTo = e.target.dataset.addTo || e.target.closest('[data-add-to]')?.dataset.addTo;
     if (addTo) {
       addArrayItem(overlay, addTo, schemas);
+      refreshArrays();
     }
   });
 
@@ -133,6 +258,70 @@ function setupEventListeners(overlay, template) {
     const deleteBtn = e.target.closest('[data-delete-from]');
     if (deleteBtn) {
       deleteArrayItem(overlay, deleteBtn.dataset.deleteFrom, parseInt(deleteBtn.dataset.index, 10));
+      refreshArrays();
+    }
+  });
+
+  // Move and duplicate array item buttons
+  overlay.addEventListener('click', (e) => {
+    const moveBtn = e.target.closest('[data-move]');
+    const duplicateBtn = e.target.closest('[data-duplicate]');
+    if (moveBtn) {
+      moveArrayItem(moveBtn.closest('.promptcanvas-array-item'), moveBtn.dataset.move === 'up' ? -1 : 1);
+      refreshArrays();
+    } else if (duplicateBtn) {
+      duplicateArrayItem(duplicateBtn.closest('.promptcanvas-array-item'));
+      refreshArrays();
+    }
+  });
+
+  // Drag and drop reordering (by the item's handle, within the same array)
+  enableArrayDragging(overlay, refreshArrays);
+
+  // Keep slider value labels in sync
+  overlay.addEventListener('input', (e) => {
+    if (e.target.classList.contains('promptcanvas-slider')) {
+      const valueLabel = e.target.parentNode.querySelector('.promptcanvas-slider-value');
+      if (valueLabel) {
+        valueLabel.textContent = e.target.value;
+      }
+    }
+  });
+
+  // Clear the invalid mark once a required field is filled in
+  overlay.addEventListener('input', (e) => {
+    if (e.target.classList.contains('promptcanvas-invalid') && e.target.value.trim() !== '') {
+      e.target.classList.remove('promptcanvas-invalid');
+    }
+  });
+
+  // Field edits can flip conditions and change the preview
+  overlay.addEventListener('input', refresh);
+  overlay.addEventListener('change', refresh);
+
+  // Preset dropdown
+  overlay.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('promptcanvas-preset-select')) return;
+
+    const preset = findSelectedPreset(overlay);
+    overlay.querySelector('[data-action="delete-preset"]').hidden = !preset;
+    if (preset) {
+      refillForm(overlay, template, preset.values);
+      refresh();
+    }
+  });
+
+  // Preset name: Enter saves, Escape only closes the name bar
+  overlay.addEventListener('keydown', (e) => {
+    if (!e.target.classList.contains('promptcanvas-preset-name')) return;
+
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      savePresetFromForm(overlay);
+    } else if (e.key === 'Escape') {
+      e.stopImmediatePropagation();
+      e.target.closest('.promptcanvas-preset-bar').hidden = true;
     }
   });
 
@@ -140,78 +329,119 @@ function setupEventListeners(overlay, template) {
   overlay.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
       hideFormModal();
+    } else if (e.key === 'Tab') {
+      trapFocus(overlay, e);
     } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
       insertGeneratedOutput();
+    } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      // Move the array item that contains the focus
+      const item = e.target.closest('.promptcanvas-array-item');
+      if (item) {
+        e.preventDefault();
+        moveArrayItem(item, e.key === 'ArrowUp' ? -1 : 1);
+        e.target.focus();
+        refreshArrays();
+      }
     }
   });
 }
 
 /**
- * Add a new array item
+ * Keep Tab / Shift+Tab cycling inside the modal
  */
-function addArrayItem(overlay, arrayPath, schemas) {
-  const container = overlay.querySelector(`[data-array="${arrayPath}"]`);
-  if (!container) return;
+function trapFocus(overlay, e) {
+  const focusable = Array.from(overlay.querySelectorAll('input, select, textarea, button, [tabindex]:not([tabindex="-1"])'))
+    .filter(el => !el.disabled && el.offsetParent !== null);
+  if (focusable.length === 0) return;
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = overlay.getRootNode().activeElement;
+
+  if (e.shiftKey && (active === first || !overlay.contains(active))) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (active === last || !overlay.contains(active))) {
+    e.preventDefault();
+    first.focus();
+  }
+}
 
-  const schemaName = container.dataset.schema;
-  const schema = schemas[schemaName];
+function findSelectedPreset(overlay) {
+  const select = overlay.querySelector('.promptcanvas-preset-select');
+  return select ? (currentOptions.presets || []).find(p => p.id === select.value) || null : null;
+}
 
-  // Count existing items
-  const existingItems = container.querySelectorAll(`[data-array-item="${arrayPath}"]`);
-  const newIndex = existingItems.length;
+/**
+ * Save the current form values as a named preset and select it in the dropdown
+ */
+async function savePresetFromForm(overlay) {
+  const bar = overlay.querySelector('.promptcanvas-preset-bar');
+  const nameInput = bar.querySelector('.promptcanvas-preset-name');
+  const name = nameInput.value.trim();
+  if (!name) {
+    nameInput.focus();
+    return;
+  }
 
-  // Get the key from the path (last part before any brackets)
-  const key = arrayPath.split('.').pop().replace(/\[\d+\]$/, '');
+  let preset;
+  try {
+    preset = await currentOptions.onSavePreset(name, collectFormValues(overlay));
+  } catch (e) {
+    console.warn('PromptCanvas: Failed to save preset', e);
+    showPresetError(overlay, '프리셋을 저장하지 못했습니다. 페이지를 새로고침한 뒤 다시 시도하세요.');
+    return;
+  }
+  showPresetError(overlay, '');
+  if (!preset) return;
 
-  // Create new item HTML
-  const itemHtml = renderArrayItem(key, newIndex, schema, schemas, {}, arrayPath);
+  const presets = (currentOptions.presets || []).filter(p => p.id !== preset.id);
+  presets.push(preset);
+  currentOptions.presets = presets;
 
-  // Insert before the add button
-  const addBtn = container.querySelector(`[data-add-to="${arrayPath}"]`);
-  const tempDiv = document.createElement('div');
-  tempDiv.innerHTML = itemHtml;
-  const newItem = tempDiv.firstElementChild;
+  updatePresetPicker(overlay, preset.id);
+  bar.hidden = true;
+}
 
-  container.insertBefore(newItem, addBtn);
+async function deleteSelectedPreset(overlay) {
+  const preset = findSelectedPreset(overlay);
+  if (!preset || !confirm(`프리셋 "${preset.name}"을(를) 삭제하시겠습니까?`)) return;
 
-  // Focus first input in new item
-  const firstInput = newItem.querySelector('.promptcanvas-input, .promptcanvas-select');
-  if (firstInput) {
-    firstInput.focus();
+  try {
+    await currentOptions.onDeletePreset(preset.id);
+  } catch (e) {
+    console.warn('PromptCanvas: Failed to delete preset', e);
+    showPresetError(overlay, '프리셋을 삭제하지 못했습니다. 페이지를 새로고침한 뒤 다시 시도하세요.');
+    return;
   }
+  showPresetError(overlay, '');
+  currentOptions.presets = currentOptions.presets.filter(p => p.id !== preset.id);
+  updatePresetPicker(overlay, '');
 }
 
 /**
- * Delete an array item
+ * Show a preset save/delete failure above the footer; an empty message hides it
  */
-function deleteArrayItem(overlay, arrayPath, index) {
-  const container = overlay.querySelector(`[data-array="${arrayPath}"]`);
-  if (!container) return;
-
-  // Find and remove the item
-  const itemToRemove = container.querySelector(`[data-array-item="${arrayPath}"][data-index="${index}"]`);
-  if (itemToRemove) {
-    itemToRemove.remove();
-
-    // Re-index remaining items
-    const remainingItems = container.querySelectorAll(`[data-array-item="${arrayPath}"]`);
-    remainingItems.forEach((item, newIndex) => {
-      item.dataset.index = newIndex;
-      const title = item.querySelector('.promptcanvas-array-item-title');
-      if (title) {
-        title.textContent = `#${newIndex + 1}`;
-      }
-      const deleteBtn = item.querySelector('[data-delete-from]');
-      if (deleteBtn) {
-        deleteBtn.dataset.index = newIndex;
-      }
+function showPresetError(overlay, message) {
+  const error = overlay.querySelector('.promptcanvas-preset-error');
+  error.textContent = message;
+  error.hidden = !message;
+}
 
-      // Update field paths
-      item.querySelectorAll('[data-path]').forEach(field => {
-        field.dataset.path = field.dataset.path.replace(/\[\d+\]/, `[${newIndex}]`);
-      });
-    });
-  }
+function updatePresetPicker(overlay, selectedId) {
+  const select = overlay.querySelector('.promptcanvas-preset-select');
+  select.innerHTML = renderPresetOptions(currentOptions.presets, selectedId);
+  select.hidden = currentOptions.presets.length === 0;
+  overlay.querySelector('[data-action="delete-preset"]').hidden = !selectedId;
+}
+
+/**
+ * Re-render the form pre-filled with the given values
+ */
+function refillForm(overlay, template, values) {
+  const form = overlay.querySelector('.promptcanvas-form');
+  form.innerHTML = renderForm(template, values);
+  prepareForm(overlay);
 }
 
 /**
@@ -222,10 +452,8 @@ function togglePreview(overlay, template) {
   const previewBtn = overlay.querySelector('[data-action="preview"]');
 
   if (previewPanel.style.display === 'none') {
-    const values = collectFormValues(overlay);
-    const output = generateOutput(template, values);
-    previewPanel.textContent = JSON.stringify(output, null, 2);
     previewPanel.style.display = 'block';
+    updatePreview(overlay, template);
     previewBtn.textContent = '미리보기 닫기';
   } else {
     previewPanel.style.display = 'none';
@@ -233,41 +461,62 @@ function togglePreview(overlay, template) {
   }
 }
 
+/**
+ * Re-render the preview panel if it is open
+ */
+function updatePreview(overlay, template) {
+  const previewPanel = overlay.querySelector('.promptcanvas-preview');
+  if (!previewPanel || previewPanel.style.display === 'none') return;
+
+  const values = collectFormValues(overlay);
+  const output = generateOutput(template, values);
+  previewPanel.textContent = serializeOutput(output, template._meta?.outputFormat);
+}
+
 /**
  * Insert the generated output into the target element
  */
 function insertGeneratedOutput() {
   if (!currentTemplate || !currentTargetElement) return;
 
+  // Block insertion until every required field is filled in
+  const missingFields = findMissingRequiredFields(currentOverlay);
+  if (missingFields.length > 0) {
+    missingFields.forEach(field => field.classList.add('promptcanvas-invalid'));
+    missingFields[0].focus();
+    return;
+  }
+
   const values = collectFormValues(currentOverlay);
   const output = generateOutput(currentTemplate, values);
-  const jsonString = JSON.stringify(output, null, 2);
+  const outputText = serializeOutput(output, currentTemplate._meta?.outputFormat);
 
-  // Get current value and find trigger position
-  const currentValue = currentTargetElement.value || '';
-  const triggerIndex = currentValue.lastIndexOf(currentTriggerText);
-
-  if (triggerIndex >= 0) {
-    // Replace trigger with output
-    const before = currentValue.substring(0, triggerIndex);
-    const after = currentValue.substring(triggerIndex + currentTriggerText.length);
-    currentTargetElement.value = before + jsonString + after;
-  } else {
-    // Just append
-    currentTargetElement.value = currentValue + jsonString;
+  if (currentOptions.onInsert) {
+    currentOptions.onInsert(values, collectFieldHistory(currentOverlay));
   }
 
-  // Trigger input event for frameworks that listen to it
-  currentTargetElement.dispatchEvent(new Event('input', { bubbles: true }));
-  currentTargetElement.dispatchEvent(new Event('change', { bubbles: true }));
+  const targetElement = currentTargetElement;
+  const triggerRange = currentTriggerRange;
 
+  // Close first so focus returns to the page before the editor is touched
   hideFormModal();
-  currentTargetElement.focus();
+  replaceTriggerText(targetElement, triggerRange, outputText);
+}
+
+/**
+ * Insert a template's output for saved values directly, without showing the form
+ * Used by trigger suffixes like "/s:night"
+ */
+export function insertPresetOutput(template, values, targetElement, triggerRange) {
+  const output = generateOutput(template, values);
+  const outputText = serializeOutput(output, template._meta?.outputFormat);
+  replaceTriggerText(targetElement, triggerRange, outputText);
 }
 
 function escapeHtml(str) {
   if (typeof str !== 'string') return str;
   const div = document.createElement('div');
   div.textContent = str;
-  return div.innerHTML;
+  // Also used inside attributes (preset option values)
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
@@ -1,7 +1,9 @@
 // PromptCanvas - Content Script Entry Point
 // This file imports modular components and initializes the extension
 
-import { showFormModal, hideFormModal } from './form-injector.js';
+import { showFormModal, hideFormModal, showErrorModal, insertPresetOutput } from './form-injector.js';
+import { matchTriggers, showTriggerSuggestions, hideTriggerSuggestions, handleSuggestionKeydown } from './trigger-suggest.js';
+import { getKeyName } from '../ui/key-names.js';
 
 // ===== Storage Functions =====
 async function getAllTriggers() {
@@ -23,36 +25,125 @@ async function getTemplateByTrigger(trigger) {
   }
 }
 
+async function getHistory(templateId) {
+  try {
+    return await chrome.runtime.sendMessage({ type: 'GET_HISTORY', templateId });
+  } catch (e) {
+    console.warn('PromptCanvas: Failed to get history', e);
+    return null;
+  }
+}
+
+async function getPresets(templateId) {
+  try {
+    return await chrome.runtime.sendMessage({ type: 'GET_PRESETS', templateId }) || [];
+  } catch (e) {
+    console.warn('PromptCanvas: Failed to get presets', e);
+    return [];
+  }
+}
+
+async function findPreset(templateId, suffix) {
+  try {
+    return await chrome.runtime.sendMessage({ type: 'FIND_PRESET', templateId, suffix });
+  } catch (e) {
+    console.warn('PromptCanvas: Failed to find preset', e);
+    return null;
+  }
+}
+
+function savePreset(templateId, name, values) {
+  return chrome.runtime.sendMessage({ type: 'SAVE_PRESET', preset: { templateId, name, values } });
+}
+
+function deletePreset(id) {
+  return chrome.runtime.sendMessage({ type: 'DELETE_PRESET', id });
+}
+
+function recordHistory(templateId, values, fields) {
+  chrome.runtime.sendMessage({ type: 'RECORD_HISTORY', templateId, values, fields })
+    .catch(e => console.warn('PromptCanvas: Failed to record history', e));
+}
+
+async function getSettings() {
+  try {
+    return await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }) || {};
+  } catch (e) {
+    console.warn('PromptCanvas: Failed to get settings', e);
+    return {};
+  }
+}
+
 // ===== Trigger Detection =====
 let triggers = [];
+let settings = {};
 
 async function init() {
-  triggers = await getAllTriggers();
+  [triggers, settings] = await Promise.all([getAllTriggers(), getSettings()]);
   
   chrome.runtime.onMessage.addListener((message) => {
     if (message.type === 'TRIGGERS_UPDATED') {
-      triggers = message.triggers || [];
+      // Re-requested so the list is for this frame's page
+      getAllTriggers().then(list => { triggers = list; });
+    } else if (message.type === 'SETTINGS_UPDATED') {
+      settings = message.settings || {};
     }
   });
   
   document.addEventListener('keydown', handleKeydown, true);
+  document.addEventListener('input', handleInput, true);
+  document.addEventListener('focusout', hideTriggerSuggestions, true);
 }
 
 function handleKeydown(e) {
-  if (e.key === ' ' || e.key === 'Tab') {
-    const target = e.target;
-    
-    if (isTextInput(target)) {
-      const triggerInfo = detectTrigger(target);
-      
-      if (triggerInfo) {
-        e.preventDefault();
-        activateTrigger(triggerInfo.trigger, target, triggerInfo.fullMatch);
-      }
+  if (handleSuggestionKeydown(e)) return;
+  if (e.isComposing || !(settings.triggerKeys || []).includes(getKeyName(e))) return;
+
+  const target = e.target;
+  if (isTextInput(target)) {
+    const triggerInfo = detectTrigger(target);
+
+    if (triggerInfo) {
+      // Keep the key from reaching the page too (Enter would otherwise send the message)
+      e.preventDefault();
+      e.stopPropagation();
+      hideTriggerSuggestions();
+      activateTrigger(triggerInfo.trigger, target, triggerInfo.range, triggerInfo.presetName);
     }
   }
 }
 
+function handleInput(e) {
+  const target = e.target;
+  // Fields inside our own modal are hidden in its shadow root and never reach here
+  if (isTextInput(target)) {
+    updateSuggestions(target);
+  } else {
+    hideTriggerSuggestions();
+  }
+}
+
+/**
+ * Show matching templates while a word starting with the trigger prefix is being typed
+ */
+function updateSuggestions(element) {
+  const prefix = settings.triggerPrefix;
+  const cursorPos = getCursorPosition(element);
+  const word = getInputValue(element).substring(0, cursorPos).match(/\S*$/)[0];
+
+  // Without a prefix every word could be a trigger, so there's nothing to anchor on;
+  // "/s:night" preset suffixes are left alone too
+  if (!prefix || !word.startsWith(prefix) || word.includes(':')) {
+    hideTriggerSuggestions();
+    return;
+  }
+
+  const items = matchTriggers(triggers, word.slice(prefix.length), prefix);
+  showTriggerSuggestions(element, items, (item) => {
+    activateTrigger(item.trigger, element, createTriggerRange(word, cursorPos));
+  });
+}
+
 function detectTrigger(element) {
   const value = getInputValue(element);
   if (!value) return null;
@@ -60,22 +151,73 @@ function detectTrigger(element) {
   const cursorPos = getCursorPosition(element);
   const textBeforeCursor = value.substring(0, cursorPos);
   
-  for (const trigger of triggers) {
-    if (textBeforeCursor.endsWith(trigger)) {
-      return { trigger, fullMatch: trigger, position: cursorPos - trigger.length };
+  // Longest first, so "/scene" wins over "/s" when both could match
+  const candidates = triggers.map(t => t.trigger).sort((a, b) => b.length - a.length);
+  for (const trigger of candidates) {
+    // "/s:night" inserts the "night" preset of /s directly
+    const presetMatch = textBeforeCursor.match(new RegExp(`${escapeRegExp(trigger)}:([^\\s:]+)$`));
+    if (presetMatch && isAtWordBoundary(textBeforeCursor, presetMatch.index, trigger)) {
+      const fullMatch = `${trigger}:${presetMatch[1]}`;
+      return { trigger, presetName: presetMatch[1], range: createTriggerRange(fullMatch, cursorPos) };
+    }
+
+    if (textBeforeCursor.endsWith(trigger)
+      && isAtWordBoundary(textBeforeCursor, cursorPos - trigger.length, trigger)) {
+      return { trigger, range: createTriggerRange(trigger, cursorPos) };
     }
   }
   
   return null;
 }
 
-async function activateTrigger(trigger, element, fullMatch) {
+/**
+ * Whether a trigger starting at `start` stands on its own
+ * Letters, digits and the trigger's own first character glue it to what comes before
+ * ("bus/s", "//s"); the check is skipped when word-boundary matching is off
+ */
+function isAtWordBoundary(text, start, trigger) {
+  if (settings.wordBoundary === false || start === 0) return true;
+  const previous = text[start - 1];
+  return !/[\p{L}\p{N}_]/u.test(previous) && previous !== trigger[0];
+}
+
+/**
+ * The exact span of the typed trigger, kept until the output is inserted
+ */
+function createTriggerRange(text, cursorPos) {
+  return { text, start: cursorPos - text.length, end: cursorPos };
+}
+
+async function activateTrigger(trigger, element, triggerRange, presetName) {
   const template = await getTemplateByTrigger(trigger);
-  if (template && template.template) {
-    showFormModal(template.template, element, fullMatch);
+  if (template && template.error) {
+    showErrorModal(template.error);
+  } else if (template && template.template) {
+    if (presetName) {
+      const preset = await findPreset(template.id, presetName);
+      if (preset) {
+        insertPresetOutput(template.template, preset.values, element, triggerRange);
+      } else {
+        showErrorModal(`"${template.name}" 템플릿에 "${presetName}" 프리셋이 없습니다.`);
+      }
+      return;
+    }
+
+    const [history, presets] = await Promise.all([getHistory(template.id), getPresets(template.id)]);
+    showFormModal(template.template, element, triggerRange, {
+      history,
+      presets,
+      onInsert: (values, fields) => recordHistory(template.id, values, fields),
+      onSavePreset: (name, values) => savePreset(template.id, name, values),
+      onDeletePreset: (id) => deletePreset(id)
+    });
   }
 }
 
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 function isTextInput(element) {
   if (!element) return false;
   
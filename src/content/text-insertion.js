@@ -0,0 +1,171 @@
+// PromptCanvas - Text Insertion
+// Replaces the trigger text with generated output in plain fields and rich editors
+
+/**
+ * Replace the trigger range in the target element with the output, leaving the caret after it
+ *
+ * triggerRange is { text, start, end }, character offsets into the field value (or the
+ * editor's text content) captured when the trigger was detected.
+ *
+ * Textareas and inputs go through execCommand('insertText') so the page sees a real edit
+ * (undo stack, React/Vue listeners). Contenteditable editors (ProseMirror, Quill, Lexical, ...)
+ * keep their own document model, so the trigger range is selected and replaced through
+ * editing events they already handle instead of touching the DOM behind their back.
+ */
+export function replaceTriggerText(targetElement, triggerRange, outputText) {
+  const currentText = isTextField(targetElement)
+    ? targetElement.value || ''
+    : targetElement.textContent || '';
+  const { start, end } = resolveTriggerRange(currentText, triggerRange);
+
+  if (isTextField(targetElement)) {
+    replaceInTextField(targetElement, start, end, outputText);
+  } else {
+    replaceInEditable(targetElement, start, end, outputText);
+  }
+}
+
+/**
+ * Re-validate a captured trigger range against the current text
+ *
+ * The field may have changed while the modal was open. If the trigger moved, the occurrence
+ * closest to where it was is used; if it is gone, the output goes in at the old position.
+ */
+function resolveTriggerRange(currentText, triggerRange) {
+  const { text, start, end } = triggerRange;
+  if (currentText.substring(start, end) === text) {
+    return { start, end };
+  }
+
+  let nearest = -1;
+  let index = currentText.indexOf(text);
+  while (index >= 0) {
+    if (nearest < 0 || Math.abs(index - start) < Math.abs(nearest - start)) {
+      nearest = index;
+    }
+    index = currentText.indexOf(text, index + 1);
+  }
+
+  if (nearest >= 0) {
+    return { start: nearest, end: nearest + text.length };
+  }
+
+  const position = Math.min(start, currentText.length);
+  return { start: position, end: position };
+}
+
+function isTextField(element) {
+  const tagName = element.tagName?.toLowerCase();
+  return tagName === 'textarea' || tagName === 'input';
+}
+
+// ===== Textarea / Input =====
+
+function replaceInTextField(element, start, end, text) {
+  element.focus();
+  element.setSelectionRange(start, end);
+
+  const expected = element.value.substring(0, start) + text + element.value.substring(end);
+  if (!(document.execCommand('insertText', false, text) && element.value === expected)) {
+    // Pages can block execCommand; write the value directly and announce it
+    element.setRangeText(text, start, end, 'end');
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+  }
+
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// ===== Contenteditable =====
+
+// How long an editor gets to apply a paste it handles asynchronously without preventDefault
+const PASTE_SETTLE_MS = 50;
+
+async function replaceInEditable(element, start, end, text) {
+  element.focus();
+
+  const selection = window.getSelection();
+  let range = createTextRange(element, start, end);
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  // 1. Same path as typing: fires beforeinput/input, which every editor listens to.
+  // Editors like Lexical cancel the beforeinput and update the DOM later, so a canceled
+  // event counts as handled too (otherwise the paste below would insert twice)
+  const before = element.innerHTML;
+  let beforeInputEvent = null;
+  const captureBeforeInput = (e) => { beforeInputEvent = e; };
+  window.addEventListener('beforeinput', captureBeforeInput, true);
+  const executed = document.execCommand('insertText', false, text);
+  window.removeEventListener('beforeinput', captureBeforeInput, true);
+
+  if (executed && (beforeInputEvent?.defaultPrevented || element.innerHTML !== before)) {
+    return;
+  }
+
+  // 2. Editors that cancel execCommand still accept a paste of plain text.
+  // Some apply it a little later without canceling the event, so wait for a change first
+  const beforePaste = element.innerHTML;
+  if (dispatchPaste(element, text)) {
+    return;
+  }
+  await new Promise(resolve => setTimeout(resolve, PASTE_SETTLE_MS));
+  if (element.innerHTML !== beforePaste) {
+    return;
+  }
+
+  // 3. Plain contenteditable without any editor on top
+  // The selection may have moved while waiting; the text hasn't, so the offsets still hold
+  range = createTextRange(element, start, end);
+  range.deleteContents();
+  const textNode = document.createTextNode(text);
+  range.insertNode(textNode);
+  range.setStartAfter(textNode);
+  range.collapse(true);
+  selection.removeAllRanges();
+  selection.addRange(range);
+  element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+}
+
+/**
+ * Dispatch a synthetic paste; returns true if an editor handled it
+ */
+function dispatchPaste(element, text) {
+  try {
+    const clipboardData = new DataTransfer();
+    clipboardData.setData('text/plain', text);
+    const event = new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true });
+    element.dispatchEvent(event);
+    return event.defaultPrevented;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Build a Range over character offsets of the element's text content
+ * Falls back to a caret at the end when the offsets are out of range
+ */
+function createTextRange(root, start, end) {
+  const range = document.createRange();
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let offset = 0;
+  let startSet = false;
+  let node;
+
+  while ((node = walker.nextNode())) {
+    const length = node.data.length;
+    if (!startSet && start <= offset + length) {
+      range.setStart(node, start - offset);
+      startSet = true;
+    }
+    if (startSet && end <= offset + length) {
+      range.setEnd(node, end - offset);
+      return range;
+    }
+    offset += length;
+  }
+
+  range.selectNodeContents(root);
+  range.collapse(false);
+  return range;
+}
@@ -0,0 +1,232 @@
+// PromptCanvas - Trigger Autocomplete
+// Floating list of matching templates shown at the caret while a trigger is being typed
+
+import { getUiRoot } from './ui-root.js';
+
+let currentList = null;
+let currentItems = [];
+let activeIndex = 0;
+let currentOnSelect = null;
+
+const MAX_SUGGESTIONS = 8;
+
+// Styles copied onto the mirror element used to locate the caret in a textarea/input
+const MIRROR_PROPERTIES = [
+  'boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+  'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight',
+  'textTransform', 'textIndent', 'tabSize', 'wordSpacing'
+];
+
+/**
+ * Rank triggers against what was typed after the prefix
+ * Prefix matches on the trigger beat prefix matches on the name, then substrings,
+ * then fuzzy (in-order characters) matches
+ */
+export function matchTriggers(triggers, query, prefix) {
+  const wanted = query.toLowerCase();
+  return triggers
+    .map(item => ({ item, score: scoreTrigger(item, wanted, prefix) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.item.trigger.length - b.item.trigger.length)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(match => match.item);
+}
+
+function scoreTrigger(item, query, prefix) {
+  if (!query) return 1;
+
+  const trigger = item.trigger.toLowerCase();
+  const body = trigger.startsWith(prefix) ? trigger.slice(prefix.length) : trigger;
+  const name = (item.name || '').toLowerCase();
+
+  if (body.startsWith(query)) return 6;
+  if (name.startsWith(query)) return 5;
+  if (body.includes(query)) return 4;
+  if (name.includes(query)) return 3;
+  if (isSubsequence(query, body)) return 2;
+  if (isSubsequence(query, name)) return 1;
+  return 0;
+}
+
+function isSubsequence(query, text) {
+  let index = 0;
+  for (const char of text) {
+    if (char === query[index]) index++;
+    if (index === query.length) return true;
+  }
+  return false;
+}
+
+/**
+ * Show (or update) the suggestion list under the caret of the given element
+ * onSelect(item) is called when the user picks a suggestion
+ */
+export function showTriggerSuggestions(element, items, onSelect) {
+  if (items.length === 0) {
+    hideTriggerSuggestions();
+    return;
+  }
+
+  if (!currentList) {
+    currentList = document.createElement('div');
+    currentList.className = 'promptcanvas-suggest';
+    currentList.setAttribute('role', 'listbox');
+    getUiRoot().appendChild(currentList);
+
+    // mousedown rather than click so the editor keeps focus
+    currentList.addEventListener('mousedown', (e) => {
+      const option = e.target.closest('[data-index]');
+      e.preventDefault();
+      if (option) {
+        selectSuggestion(parseInt(option.dataset.index, 10));
+      }
+    });
+    currentList.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('[data-index]');
+      if (option) {
+        setActiveIndex(parseInt(option.dataset.index, 10));
+      }
+    });
+    window.addEventListener('scroll', hideTriggerSuggestions, true);
+    window.addEventListener('resize', hideTriggerSuggestions);
+  }
+
+  // Keep the highlighted template highlighted while the list narrows
+  const activeTrigger = currentItems[activeIndex]?.trigger;
+  currentItems = items;
+  currentOnSelect = onSelect;
+  activeIndex = Math.max(0, items.findIndex(item => item.trigger === activeTrigger));
+
+  currentList.innerHTML = items.map((item, index) => `
+    <div class="promptcanvas-suggest-item" role="option" data-index="${index}">
+      <span class="promptcanvas-suggest-trigger">${escapeHtml(item.trigger)}</span>
+      <span class="promptcanvas-suggest-name">${escapeHtml(item.name || '')}</span>
+    </div>
+  `).join('');
+  setActiveIndex(activeIndex);
+  positionList(element);
+}
+
+export function hideTriggerSuggestions() {
+  if (!currentList) return;
+
+  currentList.remove();
+  currentList = null;
+  currentItems = [];
+  currentOnSelect = null;
+  activeIndex = 0;
+  window.removeEventListener('scroll', hideTriggerSuggestions, true);
+  window.removeEventListener('resize', hideTriggerSuggestions);
+}
+
+/**
+ * Arrow keys, Enter and Escape while the list is open
+ * Returns true when the key was consumed
+ */
+export function handleSuggestionKeydown(e) {
+  if (!currentList || e.isComposing) return false;
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    setActiveIndex((activeIndex + step + currentItems.length) % currentItems.length);
+  } else if (e.key === 'Enter' && !e.shiftKey && !e.ctrlKey && !e.altKey && !e.metaKey) {
+    selectSuggestion(activeIndex);
+  } else if (e.key === 'Escape') {
+    hideTriggerSuggestions();
+  } else {
+    return false;
+  }
+
+  e.preventDefault();
+  e.stopPropagation();
+  return true;
+}
+
+function setActiveIndex(index) {
+  activeIndex = index;
+  currentList.querySelectorAll('[data-index]').forEach(option => {
+    const active = parseInt(option.dataset.index, 10) === index;
+    option.classList.toggle('active', active);
+    option.setAttribute('aria-selected', active ? 'true' : 'false');
+  });
+}
+
+function selectSuggestion(index) {
+  const item = currentItems[index];
+  const onSelect = currentOnSelect;
+  hideTriggerSuggestions();
+  if (item && onSelect) {
+    onSelect(item);
+  }
+}
+
+// ===== Positioning =====
+
+/**
+ * Place the list below the caret, or above it when there's no room below
+ */
+function positionList(element) {
+  const caret = getCaretRect(element);
+  const listHeight = currentList.offsetHeight;
+  const fitsBelow = caret.bottom + 4 + listHeight <= window.innerHeight;
+
+  currentList.style.left = `${Math.max(4, Math.min(caret.left, window.innerWidth - currentList.offsetWidth - 4))}px`;
+  currentList.style.top = `${fitsBelow ? caret.bottom + 4 : Math.max(4, caret.top - listHeight - 4)}px`;
+}
+
+function getCaretRect(element) {
+  const tagName = element.tagName?.toLowerCase();
+  if (tagName === 'textarea' || tagName === 'input') {
+    return getFieldCaretRect(element);
+  }
+
+  const selection = window.getSelection();
+  if (selection.rangeCount > 0) {
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    // Collapsed ranges at the start of an empty line have no box
+    if (rect.top || rect.bottom) {
+      return { left: rect.left, top: rect.top, bottom: rect.bottom };
+    }
+  }
+
+  const rect = element.getBoundingClientRect();
+  return { left: rect.left, top: rect.top, bottom: rect.bottom };
+}
+
+/**
+ * Caret position in a textarea/input, measured on an invisible copy of the field
+ */
+function getFieldCaretRect(element) {
+  const style = window.getComputedStyle(element);
+  const mirror = document.createElement('div');
+  MIRROR_PROPERTIES.forEach(property => {
+    mirror.style[property] = style[property];
+  });
+  mirror.style.position = 'absolute';
+  mirror.style.visibility = 'hidden';
+  mirror.style.top = '0';
+  mirror.style.left = '0';
+  mirror.style.whiteSpace = element.tagName.toLowerCase() === 'input' ? 'pre' : 'pre-wrap';
+  mirror.style.overflowWrap = 'break-word';
+  mirror.textContent = element.value.substring(0, element.selectionEnd || 0);
+
+  const marker = document.createElement('span');
+  marker.textContent = '\u200b';
+  mirror.appendChild(marker);
+  document.body.appendChild(mirror);
+
+  const rect = element.getBoundingClientRect();
+  const left = rect.left + marker.offsetLeft - element.scrollLeft;
+  const top = rect.top + marker.offsetTop - element.scrollTop;
+  const bottom = top + marker.offsetHeight;
+  mirror.remove();
+
+  return { left, top, bottom };
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
@@ -0,0 +1,31 @@
+// PromptCanvas - UI Root
+// Closed shadow root that hosts the modal and the trigger autocomplete,
+// so host-page CSS can't restyle them and our class names can't leak out
+
+import styles from '../ui/styles.css?inline';
+
+let uiRoot = null;
+
+/**
+ * Get the shadow root our UI is rendered into, creating it on first use
+ */
+export function getUiRoot() {
+  // Single-page apps occasionally wipe the document; start over if the host is gone
+  if (uiRoot && uiRoot.host.isConnected) return uiRoot;
+
+  const host = document.createElement('promptcanvas-root');
+  const root = host.attachShadow({ mode: 'closed' });
+
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(styles);
+  root.adoptedStyleSheets = [sheet];
+
+  // Keystrokes typed into the modal are ours; don't let page shortcuts react to them
+  ['keydown', 'keyup', 'keypress', 'input', 'change'].forEach(type => {
+    host.addEventListener(type, e => e.stopPropagation());
+  });
+
+  document.documentElement.appendChild(host);
+  uiRoot = root;
+  return root;
+}
@@ -0,0 +1,253 @@
+// PromptCanvas - Array Items
+// Add, delete, move and duplicate the items of "$array" fields in a rendered form.
+// Shared by the in-page modal and the popup's live preview; root is the element or
+// shadow root the form lives in.
+
+import { renderArrayItem } from './form-renderer.js';
+
+/**
+ * Schemas a template's arrays can use: "$schemas": { name: ... } and "$schemas.name" keys
+ */
+export function getTemplateSchemas(template) {
+  const schemas = { ...(template.$schemas || {}) };
+  for (const [key, value] of Object.entries(template)) {
+    if (key.startsWith('$schemas.')) {
+      schemas[key.replace('$schemas.', '')] = value;
+    }
+  }
+  return schemas;
+}
+
+/**
+ * Add a new array item
+ */
+export function addArrayItem(root, arrayPath, schemas) {
+  // Paths are built from template keys, which may hold quotes or brackets
+  const container = root.querySelector(`[data-array="${CSS.escape(arrayPath)}"]`);
+  if (!container) return;
+
+  const schemaName = container.dataset.schema;
+  const schema = schemas[schemaName];
+
+  // Count existing items
+  const existingItems = container.querySelectorAll(`[data-array-item="${CSS.escape(arrayPath)}"]`);
+  const newIndex = existingItems.length;
+  if (container.dataset.max && newIndex >= parseInt(container.dataset.max, 10)) return;
+
+  // Get the key from the path (last part before any brackets)
+  const key = arrayPath.split('.').pop().replace(/\[\d+\]$/, '');
+
+  // Create new item HTML
+  const itemHtml = renderArrayItem(key, newIndex, schema, schemas, {}, arrayPath);
+
+  // Insert before the add button
+  const addBtn = container.querySelector(`[data-add-to="${CSS.escape(arrayPath)}"]`);
+  const tempDiv = document.createElement('div');
+  tempDiv.innerHTML = itemHtml;
+  const newItem = tempDiv.firstElementChild;
+
+  container.insertBefore(newItem, addBtn);
+
+  // Focus first input in new item
+  const firstInput = newItem.querySelector('.promptcanvas-input, .promptcanvas-select, .promptcanvas-textarea');
+  if (firstInput) {
+    firstInput.focus();
+  }
+}
+
+/**
+ * Delete an array item
+ */
+export function deleteArrayItem(root, arrayPath, index) {
+  const container = root.querySelector(`[data-array="${CSS.escape(arrayPath)}"]`);
+  if (!container) return;
+
+  const itemCount = container.querySelectorAll(`[data-array-item="${CSS.escape(arrayPath)}"]`).length;
+  if (container.dataset.min && itemCount <= parseInt(container.dataset.min, 10)) return;
+
+  // Find and remove the item
+  const itemToRemove = container.querySelector(`[data-array-item="${CSS.escape(arrayPath)}"][data-index="${index}"]`);
+  if (itemToRemove) {
+    itemToRemove.remove();
+    reindexArrayItems(container, arrayPath);
+  }
+}
+
+/**
+ * Move an array item up (-1) or down (+1) among its siblings
+ */
+export function moveArrayItem(item, direction) {
+  const arrayPath = item.dataset.arrayItem;
+  const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+  if (!sibling || sibling.dataset.arrayItem !== arrayPath) return;
+
+  item.parentNode.insertBefore(item, direction < 0 ? sibling : sibling.nextSibling);
+  reindexArrayItems(item.parentNode, arrayPath);
+}
+
+/**
+ * Insert a copy of an array item, with its current values, right after it
+ */
+export function duplicateArrayItem(item) {
+  const container = item.parentNode;
+  const arrayPath = item.dataset.arrayItem;
+  const itemCount = container.querySelectorAll(`[data-array-item="${CSS.escape(arrayPath)}"]`).length;
+  if (container.dataset.max && itemCount >= parseInt(container.dataset.max, 10)) return;
+
+  const copy = item.cloneNode(true);
+  copyFieldValues(item, copy);
+  container.insertBefore(copy, item.nextSibling);
+  reindexArrayItems(container, arrayPath);
+}
+
+/**
+ * cloneNode only copies the markup's defaults, not what the user has since typed or picked
+ */
+function copyFieldValues(source, copy) {
+  const copyFields = copy.querySelectorAll('input, textarea, select');
+  source.querySelectorAll('input, textarea, select').forEach((field, index) => {
+    const target = copyFields[index];
+    if (field.type === 'checkbox') {
+      target.checked = field.checked;
+    } else if (field.tagName === 'SELECT') {
+      [...field.options].forEach((option, i) => {
+        target.options[i].selected = option.selected;
+      });
+    } else {
+      target.value = field.value;
+    }
+  });
+}
+
+/**
+ * Reorder items by dragging their handle, within the same array
+ * onReorder runs after a drop has moved and renumbered an item.
+ */
+export function enableArrayDragging(root, onReorder) {
+  let draggedItem = null;
+
+  root.addEventListener('dragstart', (e) => {
+    const handle = e.target.closest?.('.promptcanvas-drag-handle');
+    if (!handle) return;
+
+    draggedItem = handle.closest('.promptcanvas-array-item');
+    draggedItem.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', '');
+    e.dataTransfer.setDragImage(draggedItem, 16, 16);
+  });
+
+  root.addEventListener('dragover', (e) => {
+    const target = getDropTarget(e, draggedItem);
+    if (!target) return;
+
+    e.preventDefault();
+    const after = isPastMidpoint(e, target);
+    target.classList.toggle('drop-before', !after);
+    target.classList.toggle('drop-after', after);
+  });
+
+  root.addEventListener('dragleave', (e) => {
+    const target = e.target.closest?.('.promptcanvas-array-item');
+    if (target && !target.contains(e.relatedTarget)) {
+      target.classList.remove('drop-before', 'drop-after');
+    }
+  });
+
+  root.addEventListener('drop', (e) => {
+    const target = getDropTarget(e, draggedItem);
+    if (!target) return;
+
+    e.preventDefault();
+    target.parentNode.insertBefore(draggedItem, isPastMidpoint(e, target) ? target.nextSibling : target);
+    reindexArrayItems(target.parentNode, draggedItem.dataset.arrayItem);
+    onReorder();
+  });
+
+  root.addEventListener('dragend', () => {
+    if (draggedItem) {
+      draggedItem.classList.remove('dragging');
+      draggedItem = null;
+    }
+    root.querySelectorAll('.drop-before, .drop-after').forEach(el => {
+      el.classList.remove('drop-before', 'drop-after');
+    });
+  });
+}
+
+function getDropTarget(e, draggedItem) {
+  if (!draggedItem) return null;
+  const target = e.target.closest?.(`[data-array-item="${CSS.escape(draggedItem.dataset.arrayItem)}"]`);
+  return target && target !== draggedItem ? target : null;
+}
+
+function isPastMidpoint(e, target) {
+  const rect = target.getBoundingClientRect();
+  return e.clientY > rect.top + rect.height / 2;
+}
+
+/**
+ * Enable or disable add/delete/duplicate/move buttons to match {min, max} and item positions
+ */
+export function updateArrayControls(root) {
+  root.querySelectorAll('[data-array]').forEach(container => {
+    const arrayPath = container.dataset.array;
+    const items = container.querySelectorAll(`[data-array-item="${CSS.escape(arrayPath)}"]`);
+    const min = parseInt(container.dataset.min || '0', 10);
+    const max = container.dataset.max ? parseInt(container.dataset.max, 10) : Infinity;
+
+    const addBtn = container.querySelector(`[data-add-to="${CSS.escape(arrayPath)}"]`);
+    if (addBtn) addBtn.disabled = items.length >= max;
+
+    items.forEach((item, index) => {
+      const header = item.querySelector(':scope > .promptcanvas-array-item-header');
+      header.querySelector('[data-delete-from]').disabled = items.length <= min;
+      header.querySelector('[data-duplicate]').disabled = items.length >= max;
+      header.querySelector('[data-move="up"]').disabled = index === 0;
+      header.querySelector('[data-move="down"]').disabled = index === items.length - 1;
+    });
+  });
+}
+
+// Attributes that carry a form path, and may contain an array item's index
+const PATH_ATTRIBUTES = ['data-path', 'data-scope', 'data-array', 'data-array-item', 'data-add-to', 'data-delete-from'];
+const ID_ATTRIBUTES = ['id', 'for', 'list'];
+
+/**
+ * Renumber an array's items to match their DOM order
+ * Every path below an item (fields, nested objects and nested arrays) is rewritten
+ * from "arrayPath[old]" to "arrayPath[new]"
+ */
+function reindexArrayItems(container, arrayPath) {
+  const items = container.querySelectorAll(`[data-array-item="${CSS.escape(arrayPath)}"]`);
+  items.forEach((item, newIndex) => {
+    const oldIndex = parseInt(item.dataset.index, 10);
+    item.dataset.index = newIndex;
+
+    const header = item.querySelector(':scope > .promptcanvas-array-item-header');
+    header.querySelector('.promptcanvas-array-item-title').textContent = `#${newIndex + 1}`;
+    header.querySelectorAll('[data-index]').forEach(btn => {
+      btn.dataset.index = newIndex;
+    });
+
+    if (oldIndex === newIndex) return;
+
+    const oldPrefix = `${arrayPath}[${oldIndex}]`;
+    const newPrefix = `${arrayPath}[${newIndex}]`;
+    // Element ids are built from the same path with dots turned into dashes
+    const oldIdPrefix = `pc-field-${oldPrefix}`.replace(/\./g, '-');
+    const newIdPrefix = `pc-field-${newPrefix}`.replace(/\./g, '-');
+
+    item.querySelectorAll('*').forEach(el => {
+      PATH_ATTRIBUTES.forEach(attr => replaceAttributePrefix(el, attr, oldPrefix, newPrefix));
+      ID_ATTRIBUTES.forEach(attr => replaceAttributePrefix(el, attr, oldIdPrefix, newIdPrefix));
+    });
+  });
+}
+
+function replaceAttributePrefix(el, attr, oldPrefix, newPrefix) {
+  const value = el.getAttribute(attr);
+  if (value && value.startsWith(oldPrefix)) {
+    el.setAttribute(attr, newPrefix + value.slice(oldPrefix.length));
+  }
+}
@@ -3,22 +3,68 @@
 
 /**
  * Parse a marker string like "$input:Label" or "$select:opt1|opt2|opt3"
- * Returns: { type: 'input'|'select'|'array'|'static', label: string, options?: string[], schema?: string }
+ * Any marker may end with an options block: $input{label:"주인공 외형",default:"...",required}
+ * Returns: { type: 'input'|'textarea'|'number'|'boolean'|'slider'|'select'|'enum'|'array'|'static',
+ *            label?: string, default?: any, placeholder?: string, description?: string, required?: boolean,
+ *            options?: string[], min?: number, max?: number, step?: number, schemaName?: string }
  */
 export function parseMarker(value) {
   if (typeof value !== 'string') {
     return { type: 'static', value };
   }
 
-  // Check for marker patterns
-  if (value === '$input') {
-    return { type: 'input' };
+  // Split off a trailing {...} options block
+  const optionsMatch = value.match(/^(\$[a-z]+(?::[^{]*)?)\{(.*)\}$/s);
+  if (optionsMatch) {
+    const marker = parseBaseMarker(optionsMatch[1]);
+    if (marker.type !== 'static') {
+      return { ...marker, ...parseMarkerOptions(optionsMatch[2]) };
+    }
+  }
+
+  return parseBaseMarker(value);
+}
+
+function parseBaseMarker(value) {
+  // $input or $input:Label
+  const inputMatch = value.match(/^\$input(?::(.+))?$/);
+  if (inputMatch) {
+    return inputMatch[1] ? { type: 'input', label: inputMatch[1].trim() } : { type: 'input' };
+  }
+
+  const textareaMatch = value.match(/^\$textarea(?::(.+))?$/);
+  if (textareaMatch) {
+    return textareaMatch[1] ? { type: 'textarea', label: textareaMatch[1].trim() } : { type: 'textarea' };
+  }
+
+  if (value === '$boolean') {
+    return { type: 'boolean' };
+  }
+
+  // $number or $number:min|max|step (any part may be left empty)
+  const numberMatch = value.match(/^\$number(?::(.*))?$/);
+  if (numberMatch) {
+    return { type: 'number', ...parseRange(numberMatch[1]) };
+  }
+
+  // $slider:min|max|step - a range needs bounds, so default to 0..100
+  const sliderMatch = value.match(/^\$slider(?::(.*))?$/);
+  if (sliderMatch) {
+    const { min = 0, max = 100, step = 1 } = parseRange(sliderMatch[1]);
+    return { type: 'slider', min, max, step };
   }
 
   const selectMatch = value.match(/^\$select:(.+)$/);
   if (selectMatch) {
     const options = selectMatch[1].split('|').map(o => o.trim());
-    return { type: 'select', label: options[0], options };
+    return { type: 'select', options };
+  }
+
+  // Strict select: only the listed options are accepted
+  const enumMatch = value.match(/^\$enum:(.+)$/);
+  if (enumMatch) {
+    const options = enumMatch[1].split('|').map(o => o.trim());
+    return { type: 'enum', options };
   }
 
   const arrayMatch = value.match(/^\$array:(.+)$/);
@@ -30,23 +76,76 @@ export function parseMarker(value) {
   return { type: 'static', value };
 }
 
+/**
+ * Parse "min|max|step" into numbers, skipping empty or non-numeric parts
+ */
+function parseRange(spec = '') {
+  const [min, max, step] = spec.split('|').map(part => {
+    const num = parseFloat(part);
+    return Number.isFinite(num) ? num : undefined;
+  });
+  const range = {};
+  if (min !== undefined) range.min = min;
+  if (max !== undefined) range.max = max;
+  if (step !== undefined) range.step = step;
+  return range;
+}
+
+/**
+ * Parse the body of an options block: key:"quoted", key:bare, or a bare flag key
+ * e.g. label:"주인공 외형",default:3,required -> { label: '주인공 외형', default: 3, required: true }
+ */
+function parseMarkerOptions(body) {
+  const options = {};
+  const entryRegex = /\s*([A-Za-z_][\w-]*)\s*(?::\s*("(?:[^"\\]|\\.)*"|[^,]*))?\s*(?:,|$)/y;
+
+  while (entryRegex.lastIndex < body.length) {
+    const start = entryRegex.lastIndex;
+    const match = entryRegex.exec(body);
+    if (!match || entryRegex.lastIndex === start) break;
+
+    const [, name, raw] = match;
+    options[name] = raw === undefined ? true : parseOptionValue(raw.trim());
+  }
+
+  return options;
+}
+
+function parseOptionValue(raw) {
+  if (raw.startsWith('"')) {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return raw.slice(1, -1);
+    }
+  }
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (raw !== '' && Number.isFinite(Number(raw))) return Number(raw);
+  return raw;
+}
+
 /**
  * Render a form field based on parsed marker
  */
 export function renderField(key, marker, defaultValue = '', path = '') {
-  const fieldId = `pc-field-${path}${key}`.replace(/\./g, '-');
+  const fieldId = escapeHtml(`pc-field-${path}${key}`.replace(/\./g, '-'));
+  const value = defaultValue === '' || defaultValue == null ? (marker.default ?? '') : defaultValue;
+  const placeholder = escapeHtml(marker.placeholder || key);
+  const required = marker.required ? 'required data-required="true"' : '';
 
   switch (marker.type) {
     case 'input':
       return `
-        <div class="promptcanvas-field">
-          <label class="promptcanvas-label" for="${fieldId}">${key}</label>
+        <div class="promptcanvas-field"${conditionAttributes(markerCondition(marker), path)}>
+          ${renderLabel(key, marker, fieldId)}
           <input type="text" 
                  class="promptcanvas-input" 
                  id="${fieldId}" 
-                 data-path="${path}${key}"
-                 value="${escapeHtml(defaultValue)}"
-                 placeholder="${key}">
+                 data-path="${escapeHtml(path + key)}"
+                 ${required}
+                 value="${escapeHtml(String(value))}"
+                 placeholder="${placeholder}">
         </div>
       `;
 
@@ -56,26 +155,110 @@ export function renderField(key, marker, defaultValue = '', path = '') {
         `<option value="${escapeHtml(opt)}">`
       ).join('');
       return `
-        <div class="promptcanvas-field">
-          <label class="promptcanvas-label" for="${fieldId}">${key}</label>
+        <div class="promptcanvas-field"${conditionAttributes(markerCondition(marker), path)}>
+          ${renderLabel(key, marker, fieldId)}
           <input type="text" 
                  class="promptcanvas-input promptcanvas-select" 
                  id="${fieldId}" 
                  list="${datalistId}"
-                 data-path="${path}${key}"
-                 value="${escapeHtml(defaultValue)}"
-                 placeholder="선택 또는 직접 입력...">
+                 data-path="${escapeHtml(path + key)}"
+                 ${required}
+                 value="${escapeHtml(String(value))}"
+                 placeholder="${escapeHtml(marker.placeholder || '선택 또는 직접 입력...')}">
           <datalist id="${datalistId}">
             ${optionsHtml}
           </datalist>
         </div>
       `;
 
+    case 'textarea':
+      return `
+        <div class="promptcanvas-field"${conditionAttributes(markerCondition(marker), path)}>
+          ${renderLabel(key, marker, fieldId)}
+          <textarea class="promptcanvas-textarea" 
+                    id="${fieldId}" 
+                    data-path="${escapeHtml(path + key)}"
+                    ${required}
+                    rows="3"
+                    placeholder="${placeholder}">${escapeHtml(String(value))}</textarea>
+        </div>
+      `;
+
+    case 'number':
+      return `
+        <div class="promptcanvas-field"${conditionAttributes(markerCondition(marker), path)}>
+          ${renderLabel(key, marker, fieldId)}
+          <input type="number" 
+                 class="promptcanvas-input" 
+                 id="${fieldId}" 
+                 data-path="${escapeHtml(path + key)}"
+                 data-type="number"
+                 ${required}
+                 ${rangeAttributes(marker)}
+                 value="${escapeHtml(String(value))}"
+                 placeholder="${placeholder}">
+        </div>
+      `;
+
+    case 'boolean':
+      return `
+        <div class="promptcanvas-field"${conditionAttributes(markerCondition(marker), path)}>
+          <label class="promptcanvas-label promptcanvas-checkbox-label" for="${fieldId}">
+            <input type="checkbox" 
+                   class="promptcanvas-checkbox" 
+                   id="${fieldId}" 
+                   data-path="${escapeHtml(path + key)}"
+                   data-type="boolean"
+                   ${value === true || value === 'true' ? 'checked' : ''}>
+            ${escapeHtml(marker.label || key)}${renderDescription(marker)}
+          </label>
+        </div>
+      `;
+
+    case 'slider':
+      const sliderValue = value === '' ? marker.min : value;
+      return `
+        <div class="promptcanvas-field"${conditionAttributes(markerCondition(marker), path)}>
+          ${renderLabel(key, marker, fieldId)}
+          <div class="promptcanvas-slider-row">
+            <input type="range" 
+                   class="promptcanvas-slider" 
+                   id="${fieldId}" 
+                   data-path="${escapeHtml(path + key)}"
+                   data-type="number"
+                   ${rangeAttributes(marker)}
+                   value="${escapeHtml(String(sliderValue))}">
+            <output class="promptcanvas-slider-value" for="${fieldId}">${escapeHtml(String(sliderValue))}</output>
+          </div>
+        </div>
+      `;
+
+    case 'enum':
+      // Defaults like {default:2} parse as numbers while the options are strings
+      const enumOptionsHtml = marker.options.map(opt =>
+        `<option value="${escapeHtml(opt)}"${opt === String(value) ? ' selected' : ''}>${escapeHtml(opt)}</option>`
+      ).join('');
+      // Without a blank choice the first option is always picked, so required and optional would never apply
+      const blankOptionHtml = value === '' || marker.required || marker.optional
+        ? `<option value=""${value === '' ? ' selected' : ''}>${escapeHtml(marker.placeholder || '선택...')}</option>`
+        : '';
+      return `
+        <div class="promptcanvas-field"${conditionAttributes(markerCondition(marker), path)}>
+          ${renderLabel(key, marker, fieldId)}
+          <select class="promptcanvas-select promptcanvas-enum" 
+                  id="${fieldId}" 
+                  data-path="${escapeHtml(path + key)}"
+                  ${required}>
+            ${blankOptionHtml}${enumOptionsHtml}
+          </select>
+        </div>
+      `;
+
     case 'static':
       return `
-        <div class="promptcanvas-field">
-          <label class="promptcanvas-label">${key}</label>
-          <div class="promptcanvas-static" data-path="${path}${key}" data-static="true">${escapeHtml(marker.value)}</div>
+        <div class="promptcanvas-field"${conditionAttributes(markerCondition(marker), path)}>
+          <label class="promptcanvas-label">${escapeHtml(key)}</label>
+          <div class="promptcanvas-static" data-path="${escapeHtml(path + key)}" data-static="true">${escapeHtml(marker.value)}</div>
         </div>
       `;
 
@@ -85,28 +268,75 @@ export function renderField(key, marker, defaultValue = '', path = '') {
 }
 
 /**
- * Render an array field with add/remove functionality
+ * Render a field label with its required mark and description tooltip
+ */
+function renderLabel(key, marker, fieldId) {
+  const requiredMark = marker.required ? '<span class="promptcanvas-required">*</span>' : '';
+  return `<label class="promptcanvas-label" for="${fieldId}">${escapeHtml(marker.label || key)}${requiredMark}${renderDescription(marker)}</label>`;
+}
+
+function renderDescription(marker) {
+  return marker.description
+    ? `<span class="promptcanvas-help" title="${escapeHtml(marker.description)}">?</span>`
+    : '';
+}
+
+function rangeAttributes(marker) {
+  return ['min', 'max', 'step']
+    .filter(attr => marker[attr] !== undefined)
+    .map(attr => `${attr}="${marker[attr]}"`)
+    .join(' ');
+}
+
+/**
+ * Conditions come from a marker's {when:"..."} / {if:"..."} option
+ * or from a "$when" / "$if" key inside a nested object
+ */
+function markerCondition(marker) {
+  return marker.when ?? marker.if;
+}
+
+function objectCondition(obj) {
+  return obj.$when ?? obj.$if;
+}
+
+/**
+ * data-when holds the expression; data-scope is the path its bare keys resolve against
+ */
+function conditionAttributes(condition, scope) {
+  if (typeof condition !== 'string' || !condition.trim()) return '';
+  return ` data-when="${escapeHtml(condition)}" data-scope="${escapeHtml(scope)}"`;
+}
+
+/**
+ * Render an array field with add/remove/reorder functionality
+ * {min, max} options limit the item count; the minimum is pre-rendered
  */
-export function renderArrayField(key, schemaName, schemas, items = [], path = '') {
+export function renderArrayField(key, schemaName, schemas, items = [], path = '', marker = {}) {
   const arrayPath = `${path}${key}`;
   const schema = schemas[schemaName] || schemas[`$schemas.${schemaName}`];
+  const min = Number.isInteger(marker.min) && marker.min > 0 ? marker.min : 0;
+  const max = Number.isInteger(marker.max) && marker.max > 0 ? marker.max : null;
 
   let itemsHtml = '';
 
-  // Render existing items (allow empty arrays - length 0)
-  items.forEach((item, index) => {
-    itemsHtml += renderArrayItem(key, index, schema, schemas, item, arrayPath);
-  });
+  // Render existing items (allow empty arrays - length 0), padded up to the minimum
+  const count = Math.max(items.length, min);
+  for (let index = 0; index < count; index++) {
+    itemsHtml += renderArrayItem(key, index, schema, schemas, items[index] ?? {}, arrayPath);
+  }
+
+  const limits = `${min ? ` data-min="${min}"` : ''}${max ? ` data-max="${max}"` : ''}`;
 
   return `
-    <div class="promptcanvas-section">
+    <div class="promptcanvas-section"${conditionAttributes(markerCondition(marker), path)}>
       <div class="promptcanvas-section-header">
-        <span class="promptcanvas-section-title">${key}</span>
+        <span class="promptcanvas-section-title">${escapeHtml(marker.label || key)}</span>${renderDescription(marker)}
       </div>
-      <div class="promptcanvas-array-container" data-array="${arrayPath}" data-schema="${schemaName}">
+      <div class="promptcanvas-array-container" data-array="${escapeHtml(arrayPath)}" data-schema="${escapeHtml(schemaName)}"${limits}>
         ${itemsHtml}
-        <button type="button" class="promptcanvas-add-btn" data-add-to="${arrayPath}">
-          <span>+</span> ${key} 추가
+        <button type="button" class="promptcanvas-add-btn" data-add-to="${escapeHtml(arrayPath)}">
+          <span>+</span> ${escapeHtml(marker.label || key)} 추가
         </button>
       </div>
     </div>
@@ -126,27 +356,45 @@ export function renderArrayItem(key, index, schema, schemas, values = {}, arrayP
     const marker = parseMarker(schema);
     // Extract the actual value: could be string, or object with 'value' key, or undefined
     let defaultValue = '';
-    if (typeof values === 'string') {
+    if (values !== null && values !== undefined && typeof values !== 'object') {
       defaultValue = values;
     } else if (values && typeof values === 'object' && 'value' in values) {
       defaultValue = values.value;
     }
     fieldsHtml = renderField('value', marker, defaultValue, itemPath);
   } else {
-    // Handle object schema
-    for (const [fieldKey, fieldValue] of Object.entries(schema)) {
+    // Handle object schema - fields, nested objects and nested arrays at any depth
+    const itemValues = values && typeof values === 'object' ? values : {};
+    for (const [fieldKey, fieldValue] of Object.entries(schema || {})) {
+      if (fieldKey.startsWith('$')) continue;
+
+      if (typeof fieldValue === 'object' && fieldValue !== null && !Array.isArray(fieldValue)) {
+        fieldsHtml += renderNestedObject(fieldKey, fieldValue, schemas, itemValues[fieldKey] || {}, itemPath);
+        continue;
+      }
+
       const marker = parseMarker(fieldValue);
-      fieldsHtml += renderField(fieldKey, marker, values[fieldKey] || '', itemPath);
+      if (marker.type === 'array') {
+        fieldsHtml += renderArrayField(fieldKey, marker.schemaName, schemas, itemValues[fieldKey] || [], itemPath, marker);
+      } else {
+        fieldsHtml += renderField(fieldKey, marker, itemValues[fieldKey] ?? '', itemPath);
+      }
     }
   }
 
   return `
-    <div class="promptcanvas-array-item" data-array-item="${arrayPath}" data-index="${index}">
+    <div class="promptcanvas-array-item" data-array-item="${escapeHtml(arrayPath)}" data-index="${index}">
       <div class="promptcanvas-array-item-header">
+        <span class="promptcanvas-drag-handle" draggable="true" title="드래그하여 순서 변경">⠿</span>
         <span class="promptcanvas-array-item-title">#${index + 1}</span>
-        <button type="button" class="promptcanvas-array-item-delete" data-delete-from="${arrayPath}" data-index="${index}">
-          🗑 삭제
-        </button>
+        <div class="promptcanvas-array-item-actions">
+          <button type="button" class="promptcanvas-array-item-action" data-move="up" data-index="${index}" title="위로 이동 (Alt+↑)">↑</button>
+          <button type="button" class="promptcanvas-array-item-action" data-move="down" data-index="${index}" title="아래로 이동 (Alt+↓)">↓</button>
+          <button type="button" class="promptcanvas-array-item-action" data-duplicate="${escapeHtml(arrayPath)}" data-index="${index}" title="복제">⧉</button>
+          <button type="button" class="promptcanvas-array-item-delete" data-delete-from="${escapeHtml(arrayPath)}" data-index="${index}">
+            🗑 삭제
+          </button>
+        </div>
       </div>
       ${fieldsHtml}
     </div>
@@ -170,17 +418,17 @@ export function renderNestedObject(key, obj, schemas, values = {}, path = '') {
     } else {
       const marker = parseMarker(fieldValue);
       if (marker.type === 'array') {
-        fieldsHtml += renderArrayField(fieldKey, marker.schemaName, schemas, values[fieldKey] || [], nestedPath);
+        fieldsHtml += renderArrayField(fieldKey, marker.schemaName, schemas, values[fieldKey] || [], nestedPath, marker);
       } else {
-        fieldsHtml += renderField(fieldKey, marker, values[fieldKey] || '', nestedPath);
+        fieldsHtml += renderField(fieldKey, marker, values[fieldKey] ?? '', nestedPath);
       }
     }
   }
 
   return `
-    <div class="promptcanvas-section">
+    <div class="promptcanvas-section"${conditionAttributes(objectCondition(obj), path)}>
       <div class="promptcanvas-section-header">
-        <span class="promptcanvas-section-title">${key}</span>
+        <span class="promptcanvas-section-title">${escapeHtml(key)}</span>
       </div>
       <div class="promptcanvas-nested">
         ${fieldsHtml}
@@ -213,9 +461,9 @@ export function renderForm(template, values = {}) {
     } else {
       const marker = parseMarker(value);
       if (marker.type === 'array') {
-        html += renderArrayField(key, marker.schemaName, schemas, values[key] || [], '');
+        html += renderArrayField(key, marker.schemaName, schemas, values[key] || [], '', marker);
       } else {
-        html += `<div class="promptcanvas-section">${renderField(key, marker, values[key] || '', '')}</div>`;
+        html += `<div class="promptcanvas-section">${renderField(key, marker, values[key] ?? '', '')}</div>`;
       }
     }
   }
@@ -229,11 +477,11 @@ export function renderForm(template, values = {}) {
 export function collectFormValues(container) {
   const result = {};
 
-  // Collect regular inputs and selects
-  container.querySelectorAll('.promptcanvas-input, .promptcanvas-select, .promptcanvas-textarea').forEach(el => {
+  // Collect regular inputs, selects and typed controls
+  container.querySelectorAll('.promptcanvas-input, .promptcanvas-select, .promptcanvas-textarea, .promptcanvas-checkbox, .promptcanvas-slider').forEach(el => {
     const path = el.dataset.path;
     if (path) {
-      setNestedValue(result, path, el.value);
+      setNestedValue(result, path, readFieldValue(el));
     }
   });
 
@@ -248,12 +496,88 @@ export function collectFormValues(container) {
   return result;
 }
 
+/**
+ * Field path without array indices, so history is shared by every item of an array
+ * e.g. "character[2].appearance" -> "character[].appearance"
+ */
+export function historyPath(path) {
+  return path.replace(/\[\d+\]/g, '[]');
+}
+
+/**
+ * Collect the filled-in text values of visible fields, grouped by history path
+ */
+export function collectFieldHistory(container) {
+  const fields = {};
+  container.querySelectorAll('.promptcanvas-input, .promptcanvas-textarea').forEach(el => {
+    const path = el.dataset.path;
+    const value = el.value.trim();
+    if (!path || !value || el.dataset.type || el.closest('[hidden]')) return;
+
+    const key = historyPath(path);
+    fields[key] = fields[key] || [];
+    if (!fields[key].includes(value)) {
+      fields[key].push(value);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Offer recent values as autocomplete suggestions on text inputs
+ * Selects keep their own options and get the history appended
+ */
+export function applyFieldSuggestions(container, fields = {}) {
+  container.querySelectorAll('input.promptcanvas-input:not([data-type])').forEach(input => {
+    if (input.dataset.historyApplied) return;
+    const suggestions = fields[historyPath(input.dataset.path || '')];
+    if (!suggestions || suggestions.length === 0) return;
+
+    let datalist = input.list;
+    if (!datalist) {
+      datalist = document.createElement('datalist');
+      datalist.id = `${input.id}-history`;
+      input.after(datalist);
+      input.setAttribute('list', datalist.id);
+    }
+
+    const existing = new Set(Array.from(datalist.options).map(opt => opt.value));
+    suggestions.filter(value => !existing.has(value)).forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      datalist.appendChild(option);
+    });
+    input.dataset.historyApplied = 'true';
+  });
+}
+
+/**
+ * Find required fields that are still empty
+ */
+export function findMissingRequiredFields(container) {
+  return Array.from(container.querySelectorAll('[data-required="true"]'))
+    .filter(el => !el.closest('[hidden]') && el.value.trim() === '');
+}
+
+/**
+ * Read a field's value, converting typed controls to real numbers and booleans
+ */
+function readFieldValue(el) {
+  if (el.dataset.type === 'boolean') {
+    return el.checked;
+  }
+  if (el.dataset.type === 'number') {
+    return el.value === '' ? null : Number(el.value);
+  }
+  return el.value;
+}
+
 /**
  * Generate final JSON output from template and values
+ * Static strings may reference other fields with {{path}}, e.g. "{{subject}} in {{style.art_style}}"
+ * Keys whose condition is false, and {optional} fields left empty, are left out
  */
 export function generateOutput(template, values) {
-  const output = {};
-
   // Collect all schemas including dot notation
   const allSchemas = { ...(template.$schemas || {}) };
   for (const [key, value] of Object.entries(template)) {
@@ -263,68 +587,57 @@ export function generateOutput(template, values) {
     }
   }
 
+  const ctx = {
+    schemas: allSchemas,
+    rootValues: values,
+    // Static strings with {{path}} references, resolved once the whole output exists
+    pending: []
+  };
+
+  // Skip meta fields and schema definitions
+  const body = {};
   for (const [key, value] of Object.entries(template)) {
-    // Skip meta fields and schema definitions
     if (key === '_meta' || key === '$schemas' || key.startsWith('$schemas.')) continue;
-
-    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-      // Nested object - recursively process
-      output[key] = generateOutputObject(value, values[key] || {}, allSchemas);
-    } else {
-      const marker = parseMarker(value);
-      if (marker.type === 'array') {
-        const arrValues = values[key] || [];
-        // Check if this is a simple string schema (not object schema)
-        const schemaValue = allSchemas[marker.schemaName];
-        if (typeof schemaValue === 'string') {
-          // Simple string schema - extract just the value strings
-          output[key] = arrValues.map(item => {
-            if (typeof item === 'string') return item;
-            if (item && typeof item === 'object' && 'value' in item) return item.value;
-            return '';
-          });
-        } else {
-          output[key] = arrValues;
-        }
-      } else if (marker.type === 'static') {
-        output[key] = marker.value;
-      } else {
-        output[key] = values[key] || '';
-      }
-    }
+    body[key] = value;
   }
 
+  const output = generateOutputObject(body, values, ctx, '');
+
+  // Resolve every reference against the same snapshot so order doesn't matter
+  const resolved = ctx.pending.map(({ text }) => interpolate(text, output));
+  ctx.pending.forEach(({ target, key }, i) => {
+    target[key] = resolved[i];
+  });
+
   return output;
 }
 
-function generateOutputObject(obj, values, schemas) {
+function generateOutputObject(obj, values, ctx, path) {
   const output = {};
 
   for (const [key, value] of Object.entries(obj)) {
     if (key.startsWith('$')) continue;
 
     if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-      output[key] = generateOutputObject(value, values[key] || {}, schemas);
+      const condition = objectCondition(value);
+      if (condition && !evaluateCondition(condition, ctx.rootValues, path)) continue;
+      output[key] = generateOutputObject(value, values[key] || {}, ctx, `${path}${key}.`);
     } else {
       const marker = parseMarker(value);
+      const condition = markerCondition(marker);
+      if (condition && !evaluateCondition(condition, ctx.rootValues, path)) continue;
+
       if (marker.type === 'array') {
-        const arrValues = values[key] || [];
-        // Check if this is a simple string schema (not object schema)
-        const schemaValue = schemas[marker.schemaName];
-        if (typeof schemaValue === 'string') {
-          // Simple string schema - extract just the value strings
-          output[key] = arrValues.map(item => {
-            if (typeof item === 'string') return item;
-            if (item && typeof item === 'object' && 'value' in item) return item.value;
-            return '';
-          });
-        } else {
-          output[key] = arrValues;
-        }
+        output[key] = generateArrayOutput(marker, values[key] || [], ctx, `${path}${key}`);
       } else if (marker.type === 'static') {
         output[key] = marker.value;
+        queueInterpolation(ctx.pending, output, key, marker.value);
       } else {
-        output[key] = values[key] || '';
+        output[key] = resolveFieldValue(marker, values[key]);
+      }
+
+      if (marker.optional && isEmptyValue(output[key])) {
+        delete output[key];
       }
     }
   }
@@ -332,15 +645,143 @@ function generateOutputObject(obj, values, schemas) {
   return output;
 }
 
+function generateArrayOutput(marker, arrValues, ctx, arrayPath) {
+  const schemaValue = ctx.schemas[marker.schemaName];
+
+  // Check if this is a simple string schema (not object schema)
+  if (typeof schemaValue === 'string') {
+    // Simple string schema - extract just the values
+    const itemMarker = parseMarker(schemaValue);
+    return arrValues.map(item => {
+      const value = item && typeof item === 'object' && 'value' in item ? item.value : item;
+      return itemMarker.type === 'static' ? itemMarker.value : resolveFieldValue(itemMarker, value);
+    });
+  }
+
+  // Object schema - each item is generated like a nested object, so nested arrays,
+  // conditions, optional keys and {{path}} statics all work inside items
+  if (schemaValue && typeof schemaValue === 'object') {
+    return arrValues.map((item, index) =>
+      generateOutputObject(schemaValue, item && typeof item === 'object' ? item : {}, ctx, `${arrayPath}[${index}].`)
+    );
+  }
+
+  return arrValues;
+}
+
+function isEmptyValue(value) {
+  return value === '' || value === null || value === undefined
+    || (Array.isArray(value) && value.length === 0);
+}
+
+function queueInterpolation(pending, target, key, text) {
+  if (typeof text === 'string' && text.includes('{{')) {
+    pending.push({ target, key, text });
+  }
+}
+
+/**
+ * Replace {{path}} references with values from context
+ * Paths use the same form as data-path: "subject", "style.art_style", "character[0].appearance"
+ * Missing values become empty strings; arrays of plain values are joined with ", "
+ */
+export function interpolate(text, context) {
+  return text.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (_, path) => {
+    const value = getNestedValue(context, path);
+    if (Array.isArray(value)) {
+      return value.filter(item => item !== null && typeof item !== 'object' && item !== '').join(', ');
+    }
+    if (value === null || value === undefined || typeof value === 'object') {
+      return '';
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Coerce a collected value to the type its marker declares
+ */
+function resolveFieldValue(marker, value) {
+  switch (marker.type) {
+    case 'number':
+    case 'slider': {
+      if (value === '' || value === null || value === undefined) return null;
+      const num = Number(value);
+      return Number.isFinite(num) ? num : null;
+    }
+
+    case 'boolean':
+      return value === true || value === 'true';
+
+    case 'enum':
+      // Strict: anything outside the options is rejected
+      return marker.options.includes(value) ? value : '';
+
+    default:
+      return value || '';
+  }
+}
+
+/**
+ * Evaluate a condition such as "time_of_day != night" or "hires_fix && style.mood == dark"
+ * Terms: "path", "!path", "path == value", "path != value"; combine with && and ||
+ * Bare paths resolve against scope first (the condition's siblings), then from the root
+ */
+export function evaluateCondition(expr, values, scope = '') {
+  return expr.split('||').some(clause =>
+    clause.split('&&').every(term => evaluateTerm(term.trim(), values, scope))
+  );
+}
+
+function evaluateTerm(term, values, scope) {
+  const compareMatch = term.match(/^(.+?)\s*(==|!=)\s*(.*)$/);
+  if (compareMatch) {
+    const [, path, operator, rawExpected] = compareMatch;
+    const actual = lookupConditionValue(path.trim(), values, scope);
+    const expected = rawExpected.trim().replace(/^(["'])(.*)\1$/, '$2');
+    const equal = String(actual ?? '') === expected;
+    return operator === '==' ? equal : !equal;
+  }
+
+  if (term.startsWith('!')) {
+    return !isFilled(lookupConditionValue(term.slice(1).trim(), values, scope));
+  }
+
+  return isFilled(lookupConditionValue(term, values, scope));
+}
+
+function lookupConditionValue(path, values, scope) {
+  if (scope) {
+    const scoped = getNestedValue(values, `${scope}${path}`);
+    if (scoped !== undefined) return scoped;
+  }
+  return getNestedValue(values, path);
+}
+
+function isFilled(value) {
+  return value !== false && !isEmptyValue(value);
+}
+
+/**
+ * Show or hide every conditional field and section in the container
+ */
+export function applyConditions(container) {
+  const values = collectFormValues(container);
+  container.querySelectorAll('[data-when]').forEach(el => {
+    el.hidden = !evaluateCondition(el.dataset.when, values, el.dataset.scope || '');
+  });
+}
+
 // Utility functions
 function escapeHtml(str) {
   if (typeof str !== 'string') return str;
   const div = document.createElement('div');
   div.textContent = str;
-  return div.innerHTML;
+  // innerHTML leaves quotes alone, but values also land inside attributes
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
-function setNestedValue(obj, path, value) {
+function parsePath(path) {
   // Parse path like "character[0].name" or "style.mood"
   const regex = /([^.\[\]]+)|\[(\d+)\]/g;
   const parts = [];
@@ -354,6 +795,21 @@ function setNestedValue(obj, path, value) {
     }
   }
 
+  return parts;
+}
+
+function getNestedValue(obj, path) {
+  let current = obj;
+  for (const part of parsePath(path)) {
+    if (current === null || typeof current !== 'object') return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+function setNestedValue(obj, path, value) {
+  const parts = parsePath(path);
+
   let current = obj;
   for (let i = 0; i < parts.length - 1; i++) {
     const part = parts[i];
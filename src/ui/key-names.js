@@ -0,0 +1,15 @@
+// PromptCanvas - Key Names
+// One name per key press, shared by the content script (matching) and the options page (recording)
+
+/**
+ * Name a key press the way triggerKeys stores it: "Space", "Tab", "Ctrl+Space", "Alt+Shift+K"
+ */
+export function getKeyName(e) {
+  const key = e.key === ' ' ? 'Space' : (e.key.length === 1 ? e.key.toUpperCase() : e.key);
+  const modifiers = [];
+  if (e.ctrlKey) modifiers.push('Ctrl');
+  if (e.altKey) modifiers.push('Alt');
+  if (e.shiftKey) modifiers.push('Shift');
+  if (e.metaKey) modifiers.push('Meta');
+  return [...modifiers, key].join('+');
+}
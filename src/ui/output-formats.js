@@ -0,0 +1,162 @@
+// PromptCanvas - Output Formats
+// Serializers that turn the object from generateOutput into insertable text
+
+const formats = {};
+
+/**
+ * Register an output format serializer
+ * serialize: (output: object) => string
+ */
+export function registerOutputFormat(name, { label, serialize }) {
+  formats[name] = { name, label: label || name, serialize };
+}
+
+/**
+ * List registered formats as [{ name, label }]
+ */
+export function getOutputFormats() {
+  return Object.values(formats).map(({ name, label }) => ({ name, label }));
+}
+
+/**
+ * Serialize output with the given format, falling back to JSON for unknown names
+ */
+export function serializeOutput(output, formatName = 'json') {
+  const format = formats[formatName] || formats.json;
+  return format.serialize(output);
+}
+
+// ===== JSON =====
+registerOutputFormat('json', {
+  label: 'JSON',
+  serialize: (output) => JSON.stringify(output, null, 2)
+});
+
+// ===== YAML =====
+registerOutputFormat('yaml', {
+  label: 'YAML',
+  serialize: (output) => toYaml(output, 0).join('\n')
+});
+
+function toYaml(value, indent) {
+  const pad = '  '.repeat(indent);
+  const lines = [];
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${pad}[]`];
+    for (const item of value) {
+      if (isPlainObject(item) && Object.keys(item).length > 0) {
+        // First key goes on the dash line, the rest align under it
+        const [first, ...rest] = toYaml(item, indent + 1);
+        lines.push(`${pad}- ${first.trimStart()}`, ...rest);
+      } else if (Array.isArray(item) && item.length > 0) {
+        lines.push(`${pad}-`, ...toYaml(item, indent + 1));
+      } else if (isPlainObject(item) || Array.isArray(item)) {
+        // Empty, like the object branch writes them
+        lines.push(`${pad}- ${Array.isArray(item) ? '[]' : '{}'}`);
+      } else {
+        lines.push(`${pad}- ${yamlScalar(item)}`);
+      }
+    }
+    return lines;
+  }
+
+  if (isPlainObject(value)) {
+    if (Object.keys(value).length === 0) return [`${pad}{}`];
+    for (const [key, child] of Object.entries(value)) {
+      const yamlKey = yamlScalar(key);
+      if (Array.isArray(child) && child.length === 0) {
+        lines.push(`${pad}${yamlKey}: []`);
+      } else if (isPlainObject(child) && Object.keys(child).length === 0) {
+        lines.push(`${pad}${yamlKey}: {}`);
+      } else if (isPlainObject(child) || Array.isArray(child)) {
+        lines.push(`${pad}${yamlKey}:`, ...toYaml(child, indent + 1));
+      } else {
+        lines.push(`${pad}${yamlKey}: ${yamlScalar(child)}`);
+      }
+    }
+    return lines;
+  }
+
+  return [`${pad}${yamlScalar(value)}`];
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  const str = String(value);
+  // Quote anything YAML would read as another type or as syntax
+  const needsQuotes = str === ''
+    || /^[\s]|[\s]$/.test(str)
+    || /^[-?:,\[\]{}#&*!|>'"%@`]/.test(str)
+    || /: |\s#/.test(str)
+    || /^(true|false|yes|no|on|off|null|~)$/i.test(str)
+    || /^[-+]?(\d[\d_]*)?\.?\d+([eE][-+]?\d+)?$/.test(str)
+    || /[\n\r\t]/.test(str);
+
+  return needsQuotes ? JSON.stringify(str) : str;
+}
+
+// ===== Markdown =====
+registerOutputFormat('markdown', {
+  label: 'Markdown',
+  serialize: (output) => toMarkdown(output, 0).join('\n')
+});
+
+function toMarkdown(value, indent) {
+  const pad = '  '.repeat(indent);
+  const lines = [];
+
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      if (isPlainObject(item) || Array.isArray(item)) {
+        lines.push(`${pad}- **#${index + 1}**`, ...toMarkdown(item, indent + 1));
+      } else {
+        lines.push(`${pad}- ${formatText(item)}`);
+      }
+    });
+    return lines;
+  }
+
+  if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      if (isPlainObject(child) || Array.isArray(child)) {
+        lines.push(`${pad}- **${key}**`, ...toMarkdown(child, indent + 1));
+      } else {
+        lines.push(`${pad}- **${key}**: ${formatText(child)}`);
+      }
+    }
+    return lines;
+  }
+
+  return [`${pad}- ${formatText(value)}`];
+}
+
+// ===== Plain Text =====
+registerOutputFormat('text', {
+  label: '일반 텍스트 (쉼표 구분)',
+  serialize: (output) => collectLeaves(output).join(', ')
+});
+
+function collectLeaves(value, leaves = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectLeaves(item, leaves));
+  } else if (isPlainObject(value)) {
+    Object.values(value).forEach(child => collectLeaves(child, leaves));
+  } else {
+    const text = formatText(value).trim();
+    if (text) leaves.push(text);
+  }
+  return leaves;
+}
+
+// Utility functions
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function formatText(value) {
+  if (value === null || value === undefined) return '';
+  return String(value);
+}
@@ -1,28 +1,42 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
 
-export default defineConfig({
-  build: {
-    outDir: 'dist',
-    emptyOutDir: true,
-    rollupOptions: {
-      input: {
-        'content-script': resolve(__dirname, 'src/content/index.js'),
-        'service-worker': resolve(__dirname, 'src/background/service-worker.js'),
-        'popup': resolve(__dirname, 'popup/popup.js'),
-      },
-      output: {
-        entryFileNames: '[name].js',
-        chunkFileNames: 'chunks/[name]-[hash].js',
-        assetFileNames: 'assets/[name][extname]',
-        format: 'es',
-        // Inline all imports for content scripts (Chrome doesn't support dynamic imports in content scripts)
-        inlineDynamicImports: false,
+// Each entry is built on its own (vite build --mode <entry>) so that modules used by
+// several entries, like src/ui/form-renderer.js, are inlined into each bundle instead of
+// being split into a shared chunk: content scripts and the classic service worker
+// can't import chunks.
+const ENTRIES = {
+  'content-script': resolve(__dirname, 'src/content/index.js'),
+  'service-worker': resolve(__dirname, 'src/background/service-worker.js'),
+  'popup': resolve(__dirname, 'popup/popup.js'),
+  'options': resolve(__dirname, 'options/options.js'),
+};
+
+export default defineConfig(({ mode }) => {
+  if (!ENTRIES[mode]) {
+    throw new Error(`Build one entry at a time: vite build --mode <${Object.keys(ENTRIES).join('|')}> (npm run build builds all)`);
+  }
+
+  return {
+    build: {
+      outDir: 'dist',
+      // npm run build cleans dist once, before the first entry
+      emptyOutDir: false,
+      rollupOptions: {
+        input: {
+          [mode]: ENTRIES[mode],
+        },
+        output: {
+          entryFileNames: '[name].js',
+          assetFileNames: 'assets/[name][extname]',
+          format: 'es',
+          // Inline all imports, including dynamic ones, into the single entry file
+          inlineDynamicImports: true,
+        },
       },
+      // Don't minify for easier debugging during development
+      minify: false,
+      sourcemap: true,
     },
-    // Don't minify for easier debugging during development
-    minify: false,
-    sourcemap: true,
-  },
+  };
 });
-